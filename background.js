@@ -3,32 +3,61 @@
 
 'use strict';
 
-const DEFAULT_SETTINGS = {
-  enabled: true,
-  // Existing performance features
-  disableAnimations: true,
-  lazyLoadImages: true,
-  disableAutoplay: true,
-  throttleTimers: true,
-  // Resource Loading
-  prefetchDNS: true,
-  preloadLCP: true,
-  prefetchLinks: false,
-  optimizeImagePriority: true,
-  lazyLoadIframes: true,
-  reduceMediaPreload: true,
-  // Rendering
-  fontDisplaySwap: true,
-  contentVisibility: true,
-  stabilizeLayout: true,
-  nonBlockingCSS: true,
-  // Scripts & Interaction
-  deferScripts: false,
-  passiveListeners: true
-};
+importScripts('features.js', 'idle-tabs.js');
+
+const { TUNING, BUDGETS, getDefaultSettings } = FasterChromiumRegistry;
+
+const DEFAULT_SETTINGS = getDefaultSettings();
+
+// Valid ranges for numeric settings
+const SETTING_RANGES = Object.fromEntries(
+  TUNING.filter(field => 'min' in field).map(field => [field.key, [field.min, field.max]])
+);
+
+// Allowed values for string settings, or for each entry of list settings
+const SETTING_CHOICES = Object.fromEntries(
+  TUNING.filter(field => field.choices).map(field => [field.key, field.choices.map(([value]) => value)])
+);
+
+// Format each entry of free-form list settings must match
+const SETTING_PATTERNS = Object.fromEntries(
+  TUNING.filter(field => field.pattern).map(field => [field.key, field.pattern])
+);
+
+// Stored alongside the settings as `schemaVersion`. Bump it and append a
+// migration whenever stored keys are renamed, removed or change shape.
+const SCHEMA_VERSION = 1;
+
+// Ordered; each migration upgrades settings from `version - 1` to `version`.
+// Settings stored before versioning existed count as version 0.
+const MIGRATIONS = [
+  {
+    version: 1,
+    // v1.x -> v2.0: blocking features removed, blockAnimations renamed
+    migrate(settings) {
+      if ('blockAnimations' in settings && !('disableAnimations' in settings)) {
+        settings.disableAnimations = settings.blockAnimations;
+      }
+      const oldKeys = [
+        'blockTracking', 'blockAds', 'blockSocialWidgets', 'blockChatWidgets',
+        'blockWebFonts', 'blockImages', 'blockThirdPartyScripts', 'aggressiveMode',
+        'blockAnimations'
+      ];
+      for (const key of oldKeys) {
+        delete settings[key];
+      }
+      return settings;
+    }
+  }
+];
 
-let currentSettings = { ...DEFAULT_SETTINGS };
+const EXPORT_FORMAT = 'faster-chromium-settings';
+
+let currentSettings = { ...DEFAULT_SETTINGS, schemaVersion: SCHEMA_VERSION };
+let siteProfiles = {};
 let activeContentScripts = new Set();
+// Running/finished A/B benchmarks by tab id
+let benchmarks = new Map();
 
 async function loadSettings() {
   try {
@@ -43,35 +72,761 @@ async function loadSettings() {
 }
 
 async function saveSettings(settings) {
-  currentSettings = { ...DEFAULT_SETTINGS, ...settings };
+  currentSettings = { ...DEFAULT_SETTINGS, ...settings, schemaVersion: SCHEMA_VERSION };
   try {
     await chrome.storage.sync.set({ fasterChromiumSettings: currentSettings });
     notifyAllTabs();
+    syncFrameScripts();
   } catch (error) {
     console.error('Error saving settings:', error);
   }
 }
 
+// --- Schema migration & validation ---
+
+function migrateSettings(stored) {
+  const from = stored.schemaVersion || 0;
+  if (from > SCHEMA_VERSION) {
+    throw new Error(`Settings are from a newer version (schema ${from})`);
+  }
+
+  let settings = { ...stored };
+  for (const migration of MIGRATIONS) {
+    if (migration.version > from) {
+      settings = migration.migrate(settings);
+    }
+  }
+  settings.schemaVersion = SCHEMA_VERSION;
+  return settings;
+}
+
+// Returns a list of problems; empty when every key is known and valid
+function validateSettings(settings) {
+  const errors = [];
+  for (const [key, value] of Object.entries(settings)) {
+    if (key === 'schemaVersion') continue;
+    if (!(key in DEFAULT_SETTINGS)) {
+      errors.push(`Unknown setting "${key}"`);
+      continue;
+    }
+    if (Array.isArray(DEFAULT_SETTINGS[key]) && !Array.isArray(value)) {
+      errors.push(`"${key}" must be a list`);
+      continue;
+    }
+    if (typeof value !== typeof DEFAULT_SETTINGS[key]) {
+      errors.push(`"${key}" must be a ${typeof DEFAULT_SETTINGS[key]}`);
+      continue;
+    }
+    const range = SETTING_RANGES[key];
+    if (range && !(value >= range[0] && value <= range[1])) {
+      errors.push(`"${key}" must be between ${range[0]} and ${range[1]}`);
+    }
+    const choices = SETTING_CHOICES[key];
+    const values = Array.isArray(value) ? value : [value];
+    if (choices && !values.every(entry => choices.includes(entry))) {
+      errors.push(`"${key}" must be one of ${choices.join(', ')}`);
+    }
+    const pattern = SETTING_PATTERNS[key];
+    if (pattern && !values.every(entry => typeof entry === 'string' && pattern.test(entry))) {
+      errors.push(`"${key}" has an invalid entry`);
+    }
+  }
+  return errors;
+}
+
+function validateSiteProfiles(profiles) {
+  const errors = [];
+  for (const [origin, profile] of Object.entries(profiles)) {
+    if (getOrigin(origin) !== origin) {
+      errors.push(`"${origin}" is not an http(s) origin`);
+      continue;
+    }
+    if (typeof profile !== 'object' || profile === null || typeof profile.disabled !== 'boolean') {
+      errors.push(`Profile for ${origin} must have a boolean "disabled"`);
+      continue;
+    }
+    for (const [key, value] of Object.entries(profile.overrides || {})) {
+      if (key === 'enabled' || typeof DEFAULT_SETTINGS[key] !== 'boolean' || typeof value !== 'boolean') {
+        errors.push(`Invalid override "${key}" for ${origin}`);
+      }
+    }
+    const exemptions = profile.exemptions || [];
+    if (!Array.isArray(exemptions) || !exemptions.every(selector => typeof selector === 'string')) {
+      errors.push(`Exemptions for ${origin} must be a list of selectors`);
+    }
+    for (const [key, values] of Object.entries(profile.hosts || {})) {
+      const pattern = SETTING_PATTERNS[key];
+      if (!pattern || !Array.isArray(values) || !values.every(value => typeof value === 'string' && pattern.test(value))) {
+        errors.push(`Invalid host list "${key}" for ${origin}`);
+      }
+    }
+    for (const [key, value] of Object.entries(profile.budgets || {})) {
+      const budget = BUDGETS.find(entry => entry.key === key);
+      if (!budget || typeof value !== 'number' || !(value >= budget.min && value <= budget.max)) {
+        errors.push(`Invalid budget "${key}" for ${origin}`);
+      }
+    }
+  }
+  return errors;
+}
+
+function exportSettings() {
+  return {
+    format: EXPORT_FORMAT,
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings: currentSettings,
+    siteProfiles
+  };
+}
+
+async function importSettings(data) {
+  if (!data || data.format !== EXPORT_FORMAT || typeof data.settings !== 'object' || data.settings === null) {
+    return { success: false, errors: ['Not a Faster Chromium settings file'] };
+  }
+
+  let settings;
+  try {
+    settings = migrateSettings({ ...data.settings, schemaVersion: data.schemaVersion || 0 });
+  } catch (error) {
+    return { success: false, errors: [error.message] };
+  }
+
+  const profiles = data.siteProfiles || {};
+  const errors = [...validateSettings(settings), ...validateSiteProfiles(profiles)];
+  if (errors.length > 0) {
+    return { success: false, errors };
+  }
+
+  siteProfiles = {};
+  for (const [origin, profile] of Object.entries(profiles)) {
+    siteProfiles[origin] = {
+      disabled: profile.disabled,
+      overrides: { ...profile.overrides },
+      exemptions: [...(profile.exemptions || [])],
+      hosts: Object.fromEntries(Object.entries(profile.hosts || {}).map(([key, values]) => [key, [...values]])),
+      budgets: { ...profile.budgets }
+    };
+  }
+  try {
+    await chrome.storage.sync.set({ fasterChromiumSiteProfiles: siteProfiles });
+  } catch (error) {
+    return { success: false, errors: [error.message] };
+  }
+  await saveSettings(settings);
+  return { success: true, errors: [] };
+}
+
+// --- Per-site profiles ---
+// Stored next to the global settings under fasterChromiumSiteProfiles, keyed by
+// origin: { disabled: bool, overrides: { featureKey: bool }, exemptions: [selector],
+// budgets: { budgetKey: number } }
+
+async function loadSiteProfiles() {
+  try {
+    const result = await chrome.storage.sync.get('fasterChromiumSiteProfiles');
+    siteProfiles = result.fasterChromiumSiteProfiles || {};
+  } catch (error) {
+    console.error('Error loading site profiles:', error);
+  }
+  return siteProfiles;
+}
+
+async function saveSiteProfile(origin, profile) {
+  const overrides = {};
+  for (const [key, value] of Object.entries(profile?.overrides || {})) {
+    // Only feature toggles can be overridden; the master switch is `disabled`
+    if (key !== 'enabled' && key in DEFAULT_SETTINGS && typeof value === 'boolean') {
+      overrides[key] = value;
+    }
+  }
+
+  // Elements exempted from the DevTools panel
+  const exemptions = (profile?.exemptions || []).filter(selector => typeof selector === 'string');
+
+  // Performance budgets set in the popup; a missing key means no budget
+  const budgets = {};
+  for (const budget of BUDGETS) {
+    const value = profile?.budgets?.[budget.key];
+    if (typeof value === 'number' && value >= budget.min && value <= budget.max) {
+      budgets[budget.key] = value;
+    }
+  }
+
+  // Site-only additions to host list settings, e.g. { deferScriptHosts: ['cdn.example.com'] }
+  const hosts = {};
+  for (const [key, values] of Object.entries(profile?.hosts || {})) {
+    const pattern = SETTING_PATTERNS[key];
+    if (!pattern || !Array.isArray(values)) continue;
+    const valid = [...new Set(values.filter(value => typeof value === 'string' && pattern.test(value)))];
+    if (valid.length > 0) hosts[key] = valid;
+  }
+
+  if (profile?.disabled || Object.keys(overrides).length > 0 || exemptions.length > 0 ||
+      Object.keys(budgets).length > 0 || Object.keys(hosts).length > 0) {
+    siteProfiles[origin] = { disabled: !!profile.disabled, overrides, exemptions, hosts, budgets };
+  } else {
+    delete siteProfiles[origin];
+  }
+
+  try {
+    await chrome.storage.sync.set({ fasterChromiumSiteProfiles: siteProfiles });
+    notifyAllTabs();
+    syncFrameScripts();
+  } catch (error) {
+    console.error('Error saving site profile:', error);
+  }
+}
+
+function getOrigin(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol.startsWith('http') ? parsed.origin : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Global settings with the profile for the URL's origin layered on top.
+// A benchmark's "off" runs disable the extension for that one tab only.
+function resolveSettings(url, tabId) {
+  const origin = getOrigin(url);
+  const profile = origin && siteProfiles[origin];
+  const effective = profile
+    ? { ...currentSettings, ...profile.overrides }
+    : { ...currentSettings };
+
+  if (profile?.disabled) effective.enabled = false;
+  if (benchmarks.get(tabId)?.variant === 'off') effective.enabled = false;
+  // Hosts the popup's third-party actions added for this origin only
+  for (const [key, hosts] of Object.entries(profile?.hosts || {})) {
+    effective[key] = [...new Set([...effective[key], ...hosts])];
+  }
+  effective.exemptions = profile?.exemptions || [];
+  effective.budgets = profile?.budgets || {};
+  return effective;
+}
+
 function notifyAllTabs() {
   chrome.tabs.query({}, (tabs) => {
     tabs.forEach(tab => {
       if (tab.id) {
         chrome.tabs.sendMessage(tab.id, {
           type: 'SETTINGS_UPDATED',
-          settings: currentSettings
+          settings: resolveSettings(tab.url, tab.id)
         }).catch(() => {});
       }
     });
   });
 }
 
+// --- Frame scripts ---
+// The manifest's content scripts run in top frames only. Copies for every
+// frame are registered while a frame needs them: Optimize Frames runs the
+// optimizations there, and Discard Idle Tabs needs each frame to report
+// unsaved form input. Either may be on globally or through a site override.
+// The copies also reach top frames, where the scripts notice they're
+// already running and stop.
+
+const FRAME_SCRIPTS = [
+  { id: 'frames-content', js: ['features.js', 'content.js'] },
+  { id: 'frames-page', js: ['injected.js'], world: 'MAIN' }
+];
+const FRAME_FEATURES = ['optimizeFrames', 'discardIdleTabs'];
+
+function framesNeedScripts() {
+  return FRAME_FEATURES.some(key => currentSettings[key] ||
+    Object.values(siteProfiles).some(profile => profile.overrides?.[key]));
+}
+
+// Serialized, since saves can overlap and a script id can't be registered twice
+let frameScriptsSync = Promise.resolve();
+
+function syncFrameScripts() {
+  frameScriptsSync = frameScriptsSync.then(async () => {
+    const registered = await chrome.scripting.getRegisteredContentScripts({
+      ids: FRAME_SCRIPTS.map(script => script.id)
+    });
+    const wanted = framesNeedScripts();
+    if (wanted && registered.length === 0) {
+      await chrome.scripting.registerContentScripts(FRAME_SCRIPTS.map(script => ({
+        ...script,
+        matches: ['<all_urls>'],
+        runAt: 'document_start',
+        allFrames: true
+      })));
+    } else if (!wanted && registered.length > 0) {
+      await chrome.scripting.unregisterContentScripts({ ids: registered.map(script => script.id) });
+    }
+  }).catch(error => console.error('Error registering frame scripts:', error));
+  return frameScriptsSync;
+}
+
+// --- Critical CSS ---
+// Rules used above the fold, captured by content.js after load and inlined
+// on later visits. Stored in chrome.storage.local (too large for sync) by URL
+// pattern, so pages sharing a template share one capture.
+
+const CRITICAL_CSS_KEY = 'fasterChromiumCriticalCSS';
+const MAX_CRITICAL_CSS_ENTRIES = 50;
+const MAX_CRITICAL_CSS_LENGTH = 60000;
+
+// { [pattern]: { css, stylesheets: [{ href, hash }], savedAt } }, loaded on first use
+let criticalCSSCache = null;
+
+// Path segments that look like ids (digits, or very long) become *
+function getUrlPattern(url) {
+  const origin = getOrigin(url);
+  if (!origin) return null;
+  const path = new URL(url).pathname.split('/')
+    .map(segment => /\d/.test(segment) || segment.length > 32 ? '*' : segment)
+    .join('/');
+  return origin + path;
+}
+
+async function loadCriticalCSS() {
+  if (criticalCSSCache) return criticalCSSCache;
+  try {
+    const result = await chrome.storage.local.get(CRITICAL_CSS_KEY);
+    criticalCSSCache = result[CRITICAL_CSS_KEY] || {};
+  } catch (error) {
+    console.error('Error loading critical CSS:', error);
+    criticalCSSCache = {};
+  }
+  return criticalCSSCache;
+}
+
+async function getCriticalCSS(url) {
+  const pattern = getUrlPattern(url);
+  const entry = pattern && (await loadCriticalCSS())[pattern];
+  return entry ? { css: entry.css, stylesheets: entry.stylesheets } : null;
+}
+
+async function saveCriticalCSS(url, css, stylesheets) {
+  const pattern = getUrlPattern(url);
+  if (!pattern || typeof css !== 'string' || css.length > MAX_CRITICAL_CSS_LENGTH) return false;
+  if (!Array.isArray(stylesheets) || !stylesheets.every(sheet =>
+    typeof sheet?.href === 'string' && typeof sheet.hash === 'string')) return false;
+
+  const cache = await loadCriticalCSS();
+  cache[pattern] = { css, stylesheets, savedAt: Date.now() };
+  // Drop the oldest captures beyond the limit
+  const patterns = Object.keys(cache).sort((a, b) => cache[b].savedAt - cache[a].savedAt);
+  for (const stale of patterns.slice(MAX_CRITICAL_CSS_ENTRIES)) {
+    delete cache[stale];
+  }
+  try {
+    await chrome.storage.local.set({ [CRITICAL_CSS_KEY]: cache });
+  } catch (error) {
+    console.error('Error saving critical CSS:', error);
+    return false;
+  }
+  return true;
+}
+
+// --- Defer Scripts conflicts ---
+// URL patterns where a script that can't be held followed held ones, so
+// deferral would break script order. Defer Scripts stays off there.
+
+const DEFER_CONFLICTS_KEY = 'fasterChromiumDeferConflicts';
+const MAX_DEFER_CONFLICTS = 200;
+
+// { [pattern]: savedAt }, loaded on first use
+let deferConflictsCache = null;
+
+async function loadDeferConflicts() {
+  if (deferConflictsCache) return deferConflictsCache;
+  try {
+    const result = await chrome.storage.local.get(DEFER_CONFLICTS_KEY);
+    deferConflictsCache = result[DEFER_CONFLICTS_KEY] || {};
+  } catch (error) {
+    console.error('Error loading defer conflicts:', error);
+    deferConflictsCache = {};
+  }
+  return deferConflictsCache;
+}
+
+async function hasDeferConflict(url) {
+  const pattern = getUrlPattern(url);
+  return !!pattern && pattern in await loadDeferConflicts();
+}
+
+async function saveDeferConflict(url) {
+  const pattern = getUrlPattern(url);
+  if (!pattern) return;
+  const cache = await loadDeferConflicts();
+  cache[pattern] = Date.now();
+  const patterns = Object.keys(cache).sort((a, b) => cache[b] - cache[a]);
+  for (const stale of patterns.slice(MAX_DEFER_CONFLICTS)) {
+    delete cache[stale];
+  }
+  chrome.storage.local.set({ [DEFER_CONFLICTS_KEY]: cache }).catch(() => {});
+}
+
+// --- DevTools panel ---
+// Panels can't message tabs directly, so requests are relayed to the
+// inspected tab's top frame. Exemptions are stored in the site profile.
+
+function sendToTopFrame(tabId, message) {
+  return chrome.tabs.sendMessage(tabId, message, { frameId: 0 }).catch(() => null);
+}
+
+async function updateExemptions(tabId, update) {
+  const tab = await chrome.tabs.get(tabId);
+  const origin = getOrigin(tab.url);
+  if (!origin) return false;
+  await loadSiteProfiles();
+  const profile = siteProfiles[origin] || { disabled: false, overrides: {} };
+  await saveSiteProfile(origin, { ...profile, exemptions: update(profile.exemptions || []) });
+  await chrome.tabs.reload(tabId);
+  return true;
+}
+
+async function getPanelState(tabId) {
+  const [response, tab] = await Promise.all([
+    sendToTopFrame(tabId, { type: 'GET_JOURNAL' }),
+    chrome.tabs.get(tabId).catch(() => null),
+    loadSiteProfiles()
+  ]);
+  const origin = tab ? getOrigin(tab.url) : null;
+  return {
+    entries: response?.entries || null,
+    origin,
+    exemptions: (origin && siteProfiles[origin]?.exemptions) || []
+  };
+}
+
+async function exemptEntry(tabId, id) {
+  const response = await sendToTopFrame(tabId, { type: 'GET_EXEMPTION_SELECTOR', id });
+  const selector = response?.selector;
+  if (!selector) return false;
+  return updateExemptions(tabId, list => list.includes(selector) ? list : [...list, selector]);
+}
+
+// --- Tab metrics ---
+// content.js runs in every frame; counters are summed across frames, while
+// timings and vitals describe the top-level page.
+
+const TOP_FRAME_METRICS = ['startTime', 'loadTime'];
+
+async function getTabMetrics(tabId) {
+  // Enumerates frames through the scripting permission the frame scripts
+  // already need, rather than webNavigation (a history permission warning)
+  const injections = await chrome.scripting.executeScript({
+    target: { tabId, allFrames: true },
+    func: () => location.href
+  }).catch(() => null);
+  const frames = injections?.map(({ frameId, result }) => ({ frameId, url: result })) ||
+    [{ frameId: 0, url: '' }];
+
+  const reports = (await Promise.all(frames.map(frame =>
+    chrome.tabs.sendMessage(tabId, { type: 'GET_METRICS' }, { frameId: frame.frameId })
+      .then(response => response && { frameId: frame.frameId, url: frame.url, ...response })
+      .catch(() => null)
+  ))).filter(Boolean);
+
+  const top = reports.find(report => report.frameId === 0);
+  if (!top) return null;
+
+  const metrics = { ...top.metrics };
+  for (const report of reports) {
+    if (report === top) continue;
+    for (const [key, value] of Object.entries(report.metrics)) {
+      if (!TOP_FRAME_METRICS.includes(key) && typeof value === 'number') {
+        metrics[key] = (metrics[key] || 0) + value;
+      }
+    }
+  }
+
+  return {
+    metrics,
+    vitals: top.vitals,
+    budget: top.budget || null,
+    thirdParty: top.thirdParty || [],
+    delayedScripts: reports.flatMap(report => report.delayedScripts || []),
+    frames: reports.map(({ frameId, url, enabled, metrics }) => ({ frameId, url, enabled, metrics }))
+  };
+}
+
+// --- Third-party treatment ---
+// One-click actions from the popup's third-party cost list: the origin's
+// host is added to a feature's list, the feature is turned on for the tab's
+// site if it isn't on already, and the tab is reloaded so it takes effect.
+
+const THIRD_PARTY_TREATMENTS = {
+  delay: { feature: 'delayThirdParty', list: 'delayScriptPatterns' },
+  defer: { feature: 'deferScripts', list: 'deferScriptHosts' }
+};
+
+async function treatThirdParty(tabId, origin, treatment) {
+  const target = THIRD_PARTY_TREATMENTS[treatment];
+  const host = getOrigin(origin) ? new URL(origin).hostname : null;
+  const tab = await chrome.tabs.get(tabId).catch(() => null);
+  const siteOrigin = tab ? getOrigin(tab.url) : null;
+  if (!target || !host || !siteOrigin || !SETTING_PATTERNS[target.list].test(host)) return false;
+
+  await Promise.all([loadSettings(), loadSiteProfiles()]);
+  // Both changes go in the site profile; the global lists are left alone
+  const profile = siteProfiles[siteOrigin] || { disabled: false, overrides: {} };
+  const effective = resolveSettings(tab.url, tabId);
+  const hosts = { ...profile.hosts };
+  if (!effective[target.list].includes(host)) {
+    hosts[target.list] = [...(hosts[target.list] || []), host];
+  }
+  const overrides = effective[target.feature]
+    ? profile.overrides
+    : { ...profile.overrides, [target.feature]: true };
+  await saveSiteProfile(siteOrigin, { ...profile, hosts, overrides });
+  await chrome.tabs.reload(tabId);
+  return true;
+}
+
+// --- A/B benchmark ---
+// Reloads a tab alternately with optimizations off and on, collecting the
+// vitals reported by content.js after each load settles.
+
+const BENCHMARK_METRICS = ['lcp', 'fcp', 'ttfb', 'cls', 'inp', 'loadTime'];
+const BENCHMARK_LOAD_TIMEOUT = 30000;
+// Time after the load event for late LCP candidates and layout shifts
+const BENCHMARK_SETTLE_MS = 2000;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function reloadAndWait(tabId) {
+  return new Promise((resolve, reject) => {
+    let sawLoading = false;
+
+    function cleanup() {
+      clearTimeout(timer);
+      chrome.tabs.onUpdated.removeListener(onUpdated);
+      chrome.tabs.onRemoved.removeListener(onRemoved);
+    }
+
+    function onUpdated(id, changeInfo) {
+      if (id !== tabId) return;
+      if (changeInfo.status === 'loading') sawLoading = true;
+      if (changeInfo.status === 'complete' && sawLoading) {
+        cleanup();
+        resolve();
+      }
+    }
+
+    function onRemoved(id) {
+      if (id !== tabId) return;
+      cleanup();
+      reject(new Error('Tab was closed'));
+    }
+
+    const timer = setTimeout(() => {
+      cleanup();
+      reject(new Error('Timed out waiting for the page to load'));
+    }, BENCHMARK_LOAD_TIMEOUT);
+
+    chrome.tabs.onUpdated.addListener(onUpdated);
+    chrome.tabs.onRemoved.addListener(onRemoved);
+    chrome.tabs.reload(tabId, { bypassCache: true }).catch(error => {
+      cleanup();
+      reject(error);
+    });
+  });
+}
+
+async function measureRun(tabId) {
+  await reloadAndWait(tabId);
+  await sleep(BENCHMARK_SETTLE_MS);
+  const response = await chrome.tabs.sendMessage(tabId, { type: 'GET_METRICS' }, { frameId: 0 });
+  if (!response) throw new Error('No metrics from page');
+  return { ...response.vitals, loadTime: response.metrics.loadTime };
+}
+
+// Nearest-rank percentile
+function percentile(values, p) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.max(0, Math.ceil(p * sorted.length) - 1)];
+}
+
+function summarizeBenchmark(samples) {
+  const results = {};
+  for (const metric of BENCHMARK_METRICS) {
+    const off = samples.off.map(s => s[metric]).filter(v => v != null);
+    const on = samples.on.map(s => s[metric]).filter(v => v != null);
+    if (!off.length || !on.length) continue;
+
+    const offMedian = percentile(off, 0.5);
+    const onMedian = percentile(on, 0.5);
+    const offP75 = percentile(off, 0.75);
+    const onP75 = percentile(on, 0.75);
+    results[metric] = {
+      off: { median: offMedian, p75: offP75 },
+      on: { median: onMedian, p75: onP75 },
+      medianDelta: onMedian - offMedian,
+      p75Delta: onP75 - offP75
+    };
+  }
+  return results;
+}
+
+async function runBenchmark(tabId, runs) {
+  const state = {
+    tabId,
+    runs,
+    total: runs * 2,
+    completed: 0,
+    variant: null,
+    status: 'running',
+    samples: { off: [], on: [] },
+    results: null,
+    error: null
+  };
+  benchmarks.set(tabId, state);
+
+  try {
+    // Alternate variants so drift (cache, network) affects both equally
+    for (let i = 0; i < runs; i++) {
+      for (const variant of ['off', 'on']) {
+        state.variant = variant;
+        state.samples[variant].push(await measureRun(tabId));
+        state.completed++;
+      }
+    }
+    state.results = summarizeBenchmark(state.samples);
+    state.status = 'done';
+  } catch (error) {
+    state.status = 'error';
+    state.error = error.message;
+  } finally {
+    state.variant = null;
+  }
+
+  // Results outlive the popup; keep the latest one across worker restarts
+  chrome.storage.session.set({ fasterChromiumBenchmark: state }).catch(() => {});
+}
+
+async function getBenchmark(tabId) {
+  if (benchmarks.has(tabId)) return benchmarks.get(tabId);
+  try {
+    const result = await chrome.storage.session.get('fasterChromiumBenchmark');
+    const state = result.fasterChromiumBenchmark;
+    return state && state.tabId === tabId ? state : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// --- Performance budgets ---
+// Top frames report which of their origin's budgets the last load exceeded.
+// The toolbar badge counts them for that tab until it navigates.
+
+function showBudgetBadge(tabId, violations) {
+  const labels = violations
+    .map(violation => BUDGETS.find(budget => budget.key === violation.key)?.label)
+    .filter(Boolean);
+  const title = labels.length
+    ? `Over budget: ${labels.join(', ')}`
+    : chrome.runtime.getManifest().name;
+  chrome.action.setBadgeText({ tabId, text: labels.length ? String(labels.length) : '' }).catch(() => {});
+  chrome.action.setBadgeBackgroundColor({ tabId, color: '#ef4444' }).catch(() => {});
+  chrome.action.setTitle({ tabId, title }).catch(() => {});
+}
+
+// --- Idle tabs ---
+// Background tabs left unfocused for idleTabMinutes are discarded by a
+// once-a-minute alarm. Frames that reported unsaved form input are tracked
+// as "tabId:frameId" in session storage, so a restarted worker still knows.
+
+const IDLE_TAB_ALARM = 'fasterChromiumIdleTabs';
+const UNSAVED_FORMS_KEY = 'fasterChromiumUnsavedForms';
+
+let unsavedForms = new Set();
+const unsavedFormsLoaded = chrome.storage.session.get(UNSAVED_FORMS_KEY)
+  .then(result => { unsavedForms = new Set(result[UNSAVED_FORMS_KEY] || []); })
+  .catch(() => {});
+
+async function updateUnsavedForms(update) {
+  await unsavedFormsLoaded;
+  update(unsavedForms);
+  chrome.storage.session.set({ [UNSAVED_FORMS_KEY]: [...unsavedForms] }).catch(() => {});
+}
+
+function clearUnsavedForms(tabId) {
+  updateUnsavedForms(keys => {
+    for (const key of keys) {
+      if (key.startsWith(`${tabId}:`)) keys.delete(key);
+    }
+  });
+}
+
+// Site profiles that turn discardIdleTabs off exempt their origin
+const idleTabs = createIdleTabManager({
+  tabs: chrome.tabs,
+  getSettings: tab => resolveSettings(tab.url, tab.id),
+  hasUnsavedInput: tabId => [...unsavedForms].some(key => key.startsWith(`${tabId}:`))
+});
+
+async function sweepIdleTabs() {
+  await Promise.all([loadSettings(), loadSiteProfiles(), unsavedFormsLoaded]);
+  await idleTabs.sweep();
+}
+
+chrome.alarms.get(IDLE_TAB_ALARM).then((alarm) => {
+  if (!alarm) chrome.alarms.create(IDLE_TAB_ALARM, { periodInMinutes: 1 });
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === IDLE_TAB_ALARM) sweepIdleTabs();
+});
+
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === 'GET_SETTINGS') {
     if (sender.tab?.id) {
       activeContentScripts.add(sender.tab.id);
     }
-    loadSettings().then(settings => {
-      sendResponse({ settings });
+    // Content scripts resolve against their tab; the popup passes the tab URL
+    const url = sender.tab?.url || message.url;
+    Promise.all([loadSettings(), loadSiteProfiles()]).then(async ([settings]) => {
+      const origin = url ? getOrigin(url) : null;
+      const effective = url ? resolveSettings(url, sender.tab?.id) : settings;
+      // Only the top frame inlines critical CSS
+      const wantsCriticalCSS = sender.frameId === 0 && effective.nonBlockingCSS &&
+        effective.cssStrategy === 'critical';
+      sendResponse({
+        settings: effective,
+        globalSettings: settings,
+        origin,
+        siteProfile: origin ? siteProfiles[origin] || null : null,
+        criticalCSS: wantsCriticalCSS ? await getCriticalCSS(url) : null,
+        // Checked against the frame's own URL, where the scripts are
+        deferConflict: effective.deferScripts && sender.url ? await hasDeferConflict(sender.url) : false
+      });
+    });
+    return true;
+  }
+
+  if (message.type === 'SAVE_CRITICAL_CSS') {
+    if (!sender.tab?.url || sender.frameId !== 0) {
+      sendResponse({ success: false });
+      return;
+    }
+    saveCriticalCSS(sender.tab.url, message.css, message.stylesheets).then((success) => {
+      sendResponse({ success });
+    });
+    return true;
+  }
+
+  if (message.type === 'DEFER_CONFLICT') {
+    if (sender.url) saveDeferConflict(sender.url);
+    return;
+  }
+
+  if (message.type === 'SAVE_SITE_PROFILE') {
+    if (!getOrigin(message.origin)) {
+      sendResponse({ success: false });
+      return;
+    }
+    saveSiteProfile(getOrigin(message.origin), message.profile).then(() => {
+      sendResponse({ success: true });
     });
     return true;
   }
@@ -83,6 +838,87 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
 
+  if (message.type === 'START_BENCHMARK') {
+    if (benchmarks.get(message.tabId)?.status === 'running') {
+      sendResponse({ started: false });
+      return;
+    }
+    const runs = Math.min(Math.max(parseInt(message.runs) || 5, 1), 20);
+    runBenchmark(message.tabId, runs);
+    sendResponse({ started: true });
+    return;
+  }
+
+  if (message.type === 'GET_JOURNAL') {
+    getPanelState(message.tabId).then(sendResponse);
+    return true;
+  }
+
+  if (message.type === 'REVEAL_ENTRY') {
+    sendToTopFrame(message.tabId, { type: 'REVEAL_ENTRY', id: message.id }).then(sendResponse);
+    return true;
+  }
+
+  if (message.type === 'EXEMPT_ELEMENT') {
+    exemptEntry(message.tabId, message.id).then(success => sendResponse({ success }));
+    return true;
+  }
+
+  if (message.type === 'REMOVE_EXEMPTION') {
+    updateExemptions(message.tabId, list => list.filter(selector => selector !== message.selector))
+      .then(success => sendResponse({ success }));
+    return true;
+  }
+
+  if (message.type === 'TREAT_THIRD_PARTY') {
+    treatThirdParty(message.tabId, message.origin, message.treatment)
+      .then(success => sendResponse({ success }));
+    return true;
+  }
+
+  if (message.type === 'GET_METRICS') {
+    getTabMetrics(message.tabId).then(sendResponse);
+    return true;
+  }
+
+  if (message.type === 'GET_BENCHMARK') {
+    getBenchmark(message.tabId).then(benchmark => {
+      sendResponse({ benchmark });
+    });
+    return true;
+  }
+
+  if (message.type === 'EXPORT_SETTINGS') {
+    Promise.all([loadSettings(), loadSiteProfiles()]).then(() => {
+      sendResponse({ data: exportSettings() });
+    });
+    return true;
+  }
+
+  if (message.type === 'IMPORT_SETTINGS') {
+    importSettings(message.data).then(sendResponse);
+    return true;
+  }
+
+  if (message.type === 'FORM_STATE') {
+    if (!sender.tab?.id) return;
+    const key = `${sender.tab.id}:${sender.frameId}`;
+    updateUnsavedForms(keys => message.dirty ? keys.add(key) : keys.delete(key));
+    return;
+  }
+
+  if (message.type === 'BUDGET_RESULT') {
+    if (sender.tab?.id && sender.frameId === 0) {
+      showBudgetBadge(sender.tab.id, message.violations || []);
+    }
+    return;
+  }
+
+  if (message.type === 'GET_IDLE_TABS') {
+    idleTabs.countDiscarded().then(discarded => sendResponse({ discarded }));
+    return true;
+  }
+
   if (message.type === 'TOGGLE_ENABLED') {
     currentSettings.enabled = !currentSettings.enabled;
     saveSettings(currentSettings).then(() => {
@@ -94,36 +930,34 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
 chrome.tabs.onRemoved.addListener((tabId) => {
   activeContentScripts.delete(tabId);
+  clearUnsavedForms(tabId);
+  if (benchmarks.get(tabId)?.status !== 'running') {
+    benchmarks.delete(tabId);
+  }
 });
 
 chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
   if (changeInfo.status === 'loading') {
     activeContentScripts.delete(tabId);
+    // Form input doesn't survive navigation; content.js reports it again
+    clearUnsavedForms(tabId);
+    showBudgetBadge(tabId, []);
   }
 });
 
-loadSettings();
+Promise.all([loadSettings(), loadSiteProfiles()]).then(syncFrameScripts);
 
 chrome.runtime.onInstalled.addListener(async (details) => {
   if (details.reason === 'update') {
-    // Migrate settings from v1.x
+    // Run any migrations newer than the stored schema version
     const result = await chrome.storage.sync.get('fasterChromiumSettings');
     if (result.fasterChromiumSettings) {
-      const old = result.fasterChromiumSettings;
-      // Rename blockAnimations -> disableAnimations
-      if ('blockAnimations' in old && !('disableAnimations' in old)) {
-        old.disableAnimations = old.blockAnimations;
-      }
-      // Remove old blocking keys
-      const oldKeys = [
-        'blockTracking', 'blockAds', 'blockSocialWidgets', 'blockChatWidgets',
-        'blockWebFonts', 'blockImages', 'blockThirdPartyScripts', 'aggressiveMode',
-        'blockAnimations'
-      ];
-      for (const key of oldKeys) {
-        delete old[key];
+      try {
+        const migrated = migrateSettings(result.fasterChromiumSettings);
+        await chrome.storage.sync.set({ fasterChromiumSettings: { ...DEFAULT_SETTINGS, ...migrated } });
+      } catch (error) {
+        console.error('Error migrating settings:', error);
       }
-      await chrome.storage.sync.set({ fasterChromiumSettings: { ...DEFAULT_SETTINGS, ...old } });
     }
   }
   loadSettings();
@@ -0,0 +1,14 @@
+// Simulates a chatty page: a polling loop and some synchronous startup work
+(function() {
+  'use strict';
+
+  const start = performance.now();
+  while (performance.now() - start < 50) {
+    // Busy main thread during parsing
+  }
+
+  let ticks = 0;
+  setInterval(() => {
+    ticks++;
+  }, 16);
+})();
@@ -0,0 +1,60 @@
+// Faster Chromium - Benchmark Test Server
+// Zero-dependency local server for running the popup's A/B benchmark offline.
+// Usage: node bench/server.js [port]   (BENCH_DELAY=ms adds latency to assets)
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = parseInt(process.argv[2]) || 8080;
+const DELAY = parseInt(process.env.BENCH_DELAY) || 150;
+
+const TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8'
+};
+
+// Solid-color SVG of the requested size, e.g. /img/1200x600.svg
+function renderImage(width, height) {
+  const hue = (width * 7 + height * 13) % 360;
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+    `<rect width="100%" height="100%" fill="hsl(${hue}, 45%, 40%)"/></svg>`;
+}
+
+function send(res, status, type, body) {
+  setTimeout(() => {
+    res.writeHead(status, { 'Content-Type': type, 'Cache-Control': 'no-store' });
+    res.end(body);
+  }, DELAY);
+}
+
+const server = http.createServer((req, res) => {
+  const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+
+  const image = pathname.match(/^\/img\/(\d+)x(\d+)\.svg$/);
+  if (image) {
+    send(res, 200, 'image/svg+xml', renderImage(+image[1], +image[2]));
+    return;
+  }
+
+  const file = path.join(__dirname, 'fixtures', pathname === '/' ? 'index.html' : pathname);
+  if (!file.startsWith(path.join(__dirname, 'fixtures'))) {
+    send(res, 403, 'text/plain', 'Forbidden');
+    return;
+  }
+
+  fs.readFile(file, (err, data) => {
+    if (err) {
+      send(res, 404, 'text/plain', 'Not found');
+      return;
+    }
+    send(res, 200, TYPES[path.extname(file)] || 'application/octet-stream', data);
+  });
+});
+
+server.listen(PORT, '127.0.0.1', () => {
+  console.log(`Benchmark server on http://localhost:${PORT}/ (asset delay ${DELAY}ms)`);
+});
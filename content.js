@@ -4,23 +4,60 @@
 (function() {
   'use strict';
 
+  // Top frames get a second copy while the all-frames copy is registered
+  // (see Frame scripts in background.js)
+  if (globalThis.fasterChromiumContentLoaded) return;
+  globalThis.fasterChromiumContentLoaded = true;
+
   let settings = null;
   let observer = null;
-  let optimizationsApplied = false;
   let cleanupScheduled = false;
+  let pruneScheduled = false;
   let performanceMetrics = {
     startTime: performance.now(),
     loadTime: null,
     animationsDisabled: 0,
+    animationsPaused: 0,
     imagesOptimized: 0,
     iframesLazyLoaded: 0,
     mediaOptimized: 0,
+    autoplayBlocked: 0,
+    mediaPausedOffscreen: 0,
     cssNonBlocked: 0,
     scriptsDeferred: 0,
+    scriptsDelayed: 0,
     linksPrefetched: 0,
-    dnsPrefetched: 0
+    dnsPrefetched: 0,
+    fontsSwapped: 0,
+    embedsFacaded: 0,
+    imagesResized: 0,
+    // Estimated from the transfer size of the candidate actually loaded
+    imageBytesAvoided: 0
+  };
+  // { url, released } for each third-party script injected.js held back
+  let delayedScripts = [];
+  // Captured above-the-fold rules for this URL: { css, stylesheets }
+  let criticalCSS = null;
+  let criticalCaptureScheduled = false;
+  // Defer Scripts broke script order here before and stays off (background.js)
+  let deferConflict = false;
+  // Observer and timers of Pause Offscreen Media while it is active
+  let offscreenMedia = null;
+  // Core Web Vitals, collected regardless of settings so they can be compared
+  let vitals = {
+    lcp: null,
+    cls: null,
+    inp: null,
+    fcp: null,
+    ttfb: null
   };
   let contextValid = true;
+  const IS_TOP_FRAME = window === window.top;
+  // Every DOM change made by a feature, newest last (see MUTATION JOURNAL)
+  let journal = [];
+  let journalSeq = 0;
+  // Open shadow roots found so far (see SHADOW DOM)
+  const shadowRoots = new Set();
 
   // Check if extension context is still valid (becomes invalid when extension is reloaded)
   function isContextValid() {
@@ -37,18 +74,274 @@
   }
 
   // =========================================================================
-  //  EXISTING PERFORMANCE FEATURES
+  //  MUTATION JOURNAL
   // =========================================================================
+  // Features change the page only through these helpers. Each change is
+  // journaled with its original value so each feature can be reverted
+  // exactly, without a reload.
+
+  // Longest markup kept for inserted and replaced nodes; the nodes
+  // themselves are what the undo uses
+  const MAX_JOURNAL_MARKUP = 1000;
+
+  // `selector` is kept for targets that are about to leave the document.
+  // `anchor` is the element the undo acts on (the target unless given)
+  function record(feature, target, name, oldValue, newValue, undo, selector, anchor = target) {
+    const entry = { id: ++journalSeq, feature, target, name, oldValue, newValue, time: Date.now(), undo, selector, anchor };
+    journal.push(entry);
+    return entry;
+  }
 
-  function disableAnimations() {
-    if (!settings.disableAnimations) return;
+  function dropEntry(entry) {
+    const index = journal.indexOf(entry);
+    if (index !== -1) journal.splice(index, 1);
+  }
 
-    const styleId = 'faster-chromium-disable-animations';
-    if (document.getElementById(styleId)) return;
+  // Entries whose element has left the document: their undo would only touch
+  // a node the page threw away, and keeping them would keep it alive.
+  // Runs from idle time, so nodes merely moved within a task are back by then
+  function pruneJournal() {
+    const live = entry => !(entry.anchor instanceof Element) || entry.anchor.isConnected;
+    // Nodes we swapped out still get their own changes back on revert
+    const swappedOut = new Set(journal.filter(e => e.name === 'replaced' && live(e)).map(e => e.target));
+    journal = journal.filter(entry => live(entry) || swappedOut.has(entry.anchor));
+  }
 
-    const style = document.createElement('style');
-    style.id = styleId;
-    style.textContent = `
+  function markup(node) {
+    const html = node.outerHTML;
+    return html.length > MAX_JOURNAL_MARKUP ? `${html.slice(0, MAX_JOURNAL_MARKUP)}…` : html;
+  }
+
+  // Separates the selector steps of each tree, outermost first, in
+  // exemptions for elements inside shadow roots (see selectorFor)
+  const SHADOW_SEPARATOR = ' >>> ';
+
+  function shadowHost(node) {
+    const root = node.getRootNode();
+    return root instanceof ShadowRoot ? root.host : null;
+  }
+
+  // Matches each tree's part against the element, then its host, and so on
+  // out to the document
+  function matchesAcrossShadow(el, selector) {
+    const parts = selector.split(SHADOW_SEPARATOR);
+    let node = el;
+    for (let i = parts.length - 1; i >= 0; i--) {
+      if (!node || !node.matches(parts[i])) return false;
+      node = shadowHost(node);
+      // Only the outermost part is matched in the document
+      if (i > 0 ? !node : node) return false;
+    }
+    return true;
+  }
+
+  // Elements exempted from the DevTools panel, stored in the site profile
+  function isExempt(el) {
+    const selectors = settings?.exemptions;
+    if (!selectors?.length || !(el instanceof Element)) return false;
+    return selectors.some(selector => {
+      try {
+        return matchesAcrossShadow(el, selector);
+      } catch (e) {
+        return false;
+      }
+    });
+  }
+
+  function setAttr(feature, el, name, value) {
+    if (isExempt(el)) return;
+    const oldValue = el.getAttribute(name);
+    el.setAttribute(name, value);
+    record(feature, el, name, oldValue, String(value), () => {
+      if (oldValue === null) {
+        el.removeAttribute(name);
+      } else {
+        el.setAttribute(name, oldValue);
+      }
+    });
+  }
+
+  function removeAttr(feature, el, name) {
+    if (isExempt(el)) return;
+    const oldValue = el.getAttribute(name);
+    if (oldValue === null) return;
+    el.removeAttribute(name);
+    record(feature, el, name, oldValue, null, () => el.setAttribute(name, oldValue));
+  }
+
+  function setStyle(feature, el, property, value) {
+    if (isExempt(el)) return;
+    const hadStyleAttr = el.hasAttribute('style');
+    const oldValue = el.style.getPropertyValue(property);
+    const oldPriority = el.style.getPropertyPriority(property);
+    el.style.setProperty(property, value);
+    record(feature, el, `style.${property}`, oldValue || null, value, () => {
+      el.style.setProperty(property, oldValue, oldPriority);
+      // Don't leave an empty style="" behind on elements that had none
+      if (!hadStyleAttr && el.getAttribute('style') === '') el.removeAttribute('style');
+    });
+  }
+
+  function insertNode(feature, parent, node) {
+    parent.appendChild(node);
+    record(feature, node, 'inserted', null, markup(node), () => node.remove());
+  }
+
+  function replaceNode(feature, oldNode, newNode) {
+    if (isExempt(oldNode)) return;
+    const selector = selectorFor(oldNode);
+    oldNode.replaceWith(newNode);
+    record(feature, oldNode, 'replaced', markup(oldNode), markup(newNode), () => {
+      // Skipped if the replacement was already swapped out (e.g. by a click)
+      if (newNode.parentNode) newNode.replaceWith(oldNode);
+    }, selector, newNode);
+  }
+
+  function addListener(feature, target, type, listener, options) {
+    if (isExempt(target)) return;
+    let entry = null;
+    // A once listener is gone after it fires, and so is its entry
+    const handler = options?.once
+      ? function(event) {
+        dropEntry(entry);
+        return listener.call(this, event);
+      }
+      : listener;
+    target.addEventListener(type, handler, options);
+    entry = record(feature, target, `on${type}`, null, null, () => {
+      target.removeEventListener(type, handler, options);
+    });
+  }
+
+  // Teardown for anything that isn't a DOM value (observers, timers)
+  function onRevert(feature, undo) {
+    record(feature, null, 'teardown', null, null, undo);
+  }
+
+  function revertFeature(feature) {
+    const kept = [];
+    // Newest first, so stacked changes unwind back to the original value
+    for (let i = journal.length - 1; i >= 0; i--) {
+      const entry = journal[i];
+      if (entry.feature !== feature) {
+        kept.push(entry);
+        continue;
+      }
+      try {
+        entry.undo();
+      } catch (e) {}
+    }
+    journal = kept.reverse();
+  }
+
+  // =========================================================================
+  //  DEVTOOLS PANEL SUPPORT
+  // =========================================================================
+  // The panel (panel.js) lists the journal, reveals entries in the Elements
+  // panel and exempts elements by selector for the whole site.
+
+  function describeTarget(target) {
+    if (target === document) return 'document';
+    if (target instanceof CSSFontFaceRule) return `@font-face ${target.style.fontFamily}`;
+    if (!(target instanceof Element)) return String(target);
+
+    let text = target.tagName.toLowerCase();
+    if (target.id) text += `#${target.id}`;
+    for (const cls of [...target.classList].slice(0, 2)) text += `.${cls}`;
+    const url = target.getAttribute('src') || target.getAttribute('href');
+    if (url) text += ` ${url}`;
+    return text;
+  }
+
+  // Nearest ancestor id, then tag:nth-of-type steps. Inside a shadow root
+  // the host's selector comes first, joined by SHADOW_SEPARATOR, so the
+  // selector can't match a look-alike element in another component
+  function selectorFor(el) {
+    const steps = [];
+    for (let node = el; node instanceof Element; node = node.parentElement) {
+      if (node.id) {
+        steps.unshift(`#${CSS.escape(node.id)}`);
+        break;
+      }
+      let step = node.tagName.toLowerCase();
+      // Top-level nodes of a shadow root have no parentElement
+      const siblings = node.parentNode
+        ? [...node.parentNode.children].filter(child => child.tagName === node.tagName)
+        : [];
+      if (siblings.length > 1) step += `:nth-of-type(${siblings.indexOf(node) + 1})`;
+      steps.unshift(step);
+    }
+    const selector = steps.join(' > ');
+    const host = shadowHost(el);
+    return host ? `${selectorFor(host)}${SHADOW_SEPARATOR}${selector}` : selector;
+  }
+
+  function getJournal() {
+    pruneJournal();
+    return journal
+      .filter(entry => entry.target)
+      .map(entry => ({
+        id: entry.id,
+        feature: entry.feature,
+        name: entry.name,
+        oldValue: entry.oldValue,
+        newValue: entry.newValue,
+        time: entry.time,
+        target: describeTarget(entry.target),
+        revealable: entry.target instanceof Element && entry.target.isConnected,
+        // Our own inserted nodes aren't page elements
+        exemptable: entry.target instanceof Element && entry.name !== 'inserted'
+      }));
+  }
+
+  // Marks the entry's element for the panel, which finds it with
+  // inspectedWindow.eval(), calls inspect() and removes the mark
+  function markForReveal(id) {
+    const entry = journal.find(e => e.id === id);
+    if (!entry || !(entry.target instanceof Element) || !entry.target.isConnected) return false;
+    entry.target.setAttribute('data-fc-reveal', '');
+    return true;
+  }
+
+  function getExemptionSelector(id) {
+    const entry = journal.find(e => e.id === id);
+    if (!entry || !(entry.target instanceof Element)) return null;
+    return entry.selector || selectorFor(entry.target);
+  }
+
+  // =========================================================================
+  //  EXISTING PERFORMANCE FEATURES
+  // =========================================================================
+
+  // animationMode picks how much motion is stopped:
+  //   reduced   - what prefers-reduced-motion would stop: the page's own
+  //               reduced-motion rules, copied in once its sheets have loaded
+  //   infinite  - looping CSS animations are paused, each on its own through
+  //               the Animation object, so other animations on the same
+  //               element keep running
+  //   offscreen - CSS animations pause while outside the viewport
+  //   all       - every animation and transition finishes at once (default)
+  // Offscreen pausing marks the element with data-fc-paused, which the mode's
+  // style turns into animation-play-state: paused. Media is left to Pause
+  // Offscreen Media. Transitions keep running, so transitionend still fires
+  // in every mode but 'all'.
+
+  const ANIMATION_STYLE_ID = 'faster-chromium-disable-animations';
+  const REDUCED_MOTION_STYLE_ID = 'faster-chromium-reduced-motion';
+  const REDUCE_QUERY = /\(\s*prefers-reduced-motion\s*:\s*reduce\s*\)/;
+  const PAUSED_ANIMATION_STYLE = `
+      [data-fc-paused], [data-fc-paused]::before, [data-fc-paused]::after {
+        animation-play-state: paused !important;
+      }
+    `;
+  const ANIMATION_STYLES = {
+    reduced: `
+      *, *::before, *::after {
+        scroll-behavior: auto !important;
+      }
+    `,
+    offscreen: PAUSED_ANIMATION_STYLE,
+    all: `
       *, *::before, *::after {
         animation-duration: 0.001ms !important;
         animation-delay: 0ms !important;
@@ -57,55 +350,237 @@
         transition-delay: 0ms !important;
         scroll-behavior: auto !important;
       }
-    `;
-    const target = document.head || document.documentElement;
-    target.appendChild(style);
-    performanceMetrics.animationsDisabled = 1;
+    `
+  };
+
+  // State of the current activation, dropped when the feature is reverted
+  let animationState = null;
+
+  // Runs again on every dynamic pass to pick up new animations
+  function disableAnimations() {
+    if (!settings.disableAnimations) return;
+    const mode = settings.animationMode;
+
+    // Looping animations are paused one by one, without a style
+    if (mode !== 'infinite') {
+      insertAnimationStyle(document);
+      shadowRoots.forEach(insertAnimationStyle);
+    }
+    if (mode === 'all') performanceMetrics.animationsDisabled = 1;
+
+    if (!animationState) {
+      const state = animationState = {
+        // CSS animations already looked at
+        seen: new WeakSet(),
+        // Animations per element, and how many of them are in animationsPaused
+        counts: new WeakMap(),
+        counted: new WeakMap(),
+        // Looping animations paused through the Animation API
+        pausedAnimations: new Set(),
+        observer: null
+      };
+      if (mode === 'offscreen') {
+        state.observer = new IntersectionObserver((entries) => {
+          entries.forEach(entry => setOffscreen(entry.target, !entry.isIntersecting));
+        });
+      }
+      if (mode === 'reduced' && !phaseReached('load')) {
+        addListener('disableAnimations', window, 'load', copyReducedMotionRules, { once: true });
+      }
+      // Animations started by class changes don't mutate the DOM
+      if (mode === 'infinite' || mode === 'offscreen') {
+        addListener('disableAnimations', document, 'animationstart', scheduleCleanup, true);
+      }
+      onRevert('disableAnimations', () => {
+        state.observer?.disconnect();
+        for (const animation of state.pausedAnimations) {
+          if (animation.playState === 'paused') animation.play();
+        }
+        animationState = null;
+      });
+    }
+
+    if (mode === 'reduced' && phaseReached('load')) copyReducedMotionRules();
+    if (mode === 'infinite' || mode === 'offscreen') pauseAnimations(mode);
+  }
+
+  // Document styles don't reach into shadow roots, so each root gets a copy
+  function insertAnimationStyle(root) {
+    if (root.getElementById(ANIMATION_STYLE_ID)) return;
+
+    const style = document.createElement('style');
+    style.id = ANIMATION_STYLE_ID;
+    style.textContent = ANIMATION_STYLES[settings.animationMode] || ANIMATION_STYLES.all;
+    const parent = root === document ? document.head || document.documentElement : root;
+    insertNode('disableAnimations', parent, style);
+  }
+
+  function pauseAnimations(mode) {
+    const state = animationState;
+    // Animations of removed elements (or removed animation names) go idle
+    for (const animation of state.pausedAnimations) {
+      if (animation.playState === 'idle') state.pausedAnimations.delete(animation);
+    }
+    for (const animation of document.getAnimations()) {
+      if (!(animation instanceof CSSAnimation) || state.seen.has(animation)) continue;
+      state.seen.add(animation);
+      const el = animation.effect?.target;
+      if (!el || isExempt(el)) continue;
+
+      if (mode === 'offscreen') {
+        state.counts.set(el, (state.counts.get(el) || 0) + 1);
+        state.observer.observe(el);
+      } else if (animation.effect.getTiming().iterations === Infinity) {
+        animation.pause();
+        state.pausedAnimations.add(animation);
+        performanceMetrics.animationsPaused++;
+      }
+    }
+  }
+
+  // Each animation is counted once, however often its element scrolls out
+  // of view and back, including ones started on an element already paused
+  function pauseElement(el) {
+    const state = animationState;
+    const total = state.counts.get(el) || 1;
+    performanceMetrics.animationsPaused += total - (state.counted.get(el) || 0);
+    state.counted.set(el, total);
+    if (el.hasAttribute('data-fc-paused')) return;
+    setAttr('disableAnimations', el, 'data-fc-paused', '');
+  }
+
+  function setOffscreen(el, offscreen) {
+    const state = animationState;
+    if (!state) return;
+    if (offscreen) {
+      pauseElement(el);
+    } else if (el.hasAttribute('data-fc-paused')) {
+      removeAttr('disableAnimations', el, 'data-fc-paused');
+    }
+  }
+
+  // The page's `prefers-reduced-motion: reduce` rules, applied as if the
+  // preference were set. Cross-origin sheets can't be read and are skipped.
+  function copyReducedMotionRules() {
+    if (!isActive('disableAnimations') || document.getElementById(REDUCED_MOTION_STYLE_ID)) return;
+
+    const rules = [];
+    for (const sheet of document.styleSheets) {
+      try {
+        for (const rule of sheet.cssRules) {
+          if (rule instanceof CSSMediaRule && REDUCE_QUERY.test(rule.conditionText)) {
+            // Always true, and valid wherever the original feature was
+            rules.push(resolveCssUrls(rule.cssText.replace(REDUCE_QUERY, '(min-width: 0)'), sheet.href || location.href));
+          }
+        }
+      } catch (e) {}
+    }
+
+    const style = document.createElement('style');
+    style.id = REDUCED_MOTION_STYLE_ID;
+    style.textContent = rules.join('\n');
+    insertNode('disableAnimations', document.head || document.documentElement, style);
   }
 
   function setupLazyLoading() {
     if (!settings.lazyLoadImages) return;
 
-    document.querySelectorAll('img:not([loading])').forEach(img => {
-      img.setAttribute('loading', 'lazy');
+    queryAll('img:not([loading])').forEach(img => {
+      setAttr('lazyLoadImages', img, 'loading', 'lazy');
     });
   }
 
   function setupLazyLoadIframes() {
     if (!settings.lazyLoadIframes) return;
 
-    document.querySelectorAll('iframe:not([loading])').forEach(iframe => {
+    queryAll('iframe:not([loading])').forEach(iframe => {
       // Skip tiny iframes (tracking pixels) and same-page anchors
       if (iframe.width && parseInt(iframe.width) <= 1) return;
       if (iframe.height && parseInt(iframe.height) <= 1) return;
-      iframe.setAttribute('loading', 'lazy');
+      setAttr('lazyLoadIframes', iframe, 'loading', 'lazy');
       performanceMetrics.iframesLazyLoaded++;
     });
   }
 
+  // Covers the autoplay attribute; play() calls from page scripts are gated
+  // by injected.js
   function disableAutoplay() {
     if (!settings.disableAutoplay) return;
 
-    document.querySelectorAll('video[autoplay]').forEach(video => {
-      video.removeAttribute('autoplay');
-      video.pause();
+    queryAll('video[autoplay], audio[autoplay]').forEach(media => {
+      if (settings.mutedAutoplay === 'allow' && media.muted) return;
+      removeAttr('disableAutoplay', media, 'autoplay');
+      media.pause();
     });
+  }
 
-    document.querySelectorAll('audio[autoplay]').forEach(audio => {
-      audio.removeAttribute('autoplay');
-      audio.pause();
-    });
+  // Media still playing offscreenMediaDelay after it left the viewport is
+  // paused. Muted media (usually decorative) resumes when it scrolls back;
+  // media with sound stays paused until the user plays it again.
+  function pauseOffscreenMedia() {
+    if (!settings.pauseOffscreenMedia) return;
+
+    if (!offscreenMedia) {
+      const state = offscreenMedia = {
+        observer: new IntersectionObserver((entries) => {
+          entries.forEach(entry => setMediaVisible(entry.target, entry.isIntersecting));
+        }),
+        offscreen: new Set(),
+        timers: new Map(),
+        paused: new Set()
+      };
+      // Media may start playing after it left the viewport
+      addListener('pauseOffscreenMedia', document, 'play', (event) => {
+        if (state.offscreen.has(event.target)) schedulePause(event.target);
+      }, true);
+      onRevert('pauseOffscreenMedia', () => {
+        state.observer.disconnect();
+        state.timers.forEach(timer => clearTimeout(timer));
+        for (const media of state.paused) {
+          if (media.muted) media.play().catch(() => {});
+        }
+        offscreenMedia = null;
+      });
+    }
+    // Audio without controls has no box and would never count as visible
+    queryAll('video, audio[controls]').forEach(media => offscreenMedia.observer.observe(media));
+  }
+
+  function setMediaVisible(media, visible) {
+    const state = offscreenMedia;
+    if (!state) return;
+    if (!visible) {
+      state.offscreen.add(media);
+      if (!media.paused) schedulePause(media);
+      return;
+    }
+    state.offscreen.delete(media);
+    clearTimeout(state.timers.get(media));
+    state.timers.delete(media);
+    if (state.paused.delete(media) && media.muted) media.play().catch(() => {});
+  }
+
+  function schedulePause(media) {
+    const state = offscreenMedia;
+    if (state.timers.has(media)) return;
+    state.timers.set(media, setTimeout(() => {
+      state.timers.delete(media);
+      if (media.paused || !state.offscreen.has(media) || isExempt(media)) return;
+      media.pause();
+      state.paused.add(media);
+      performanceMetrics.mediaPausedOffscreen++;
+    }, settings.offscreenMediaDelay));
   }
 
   function reduceMediaPreload() {
     if (!settings.reduceMediaPreload) return;
 
-    document.querySelectorAll('video:not([data-fc-media-opt]), audio:not([data-fc-media-opt])').forEach(media => {
-      media.setAttribute('data-fc-media-opt', '');
+    queryAll('video:not([data-fc-media-opt]), audio:not([data-fc-media-opt])').forEach(media => {
+      setAttr('reduceMediaPreload', media, 'data-fc-media-opt', '');
       const preload = media.getAttribute('preload');
       // Downgrade "auto" (full file) to "metadata" (tiny header only)
       if (!preload || preload === 'auto') {
-        media.setAttribute('preload', 'metadata');
+        setAttr('reduceMediaPreload', media, 'preload', 'metadata');
         performanceMetrics.mediaOptimized++;
       }
     });
@@ -115,26 +590,31 @@
   //  NEW: RESOURCE LOADING OPTIMIZATIONS
   // =========================================================================
 
+  // Origin of a cross-origin http(s) URL; null for same-origin and other schemes
+  function thirdPartyOrigin(url) {
+    try {
+      const parsed = new URL(url, location.href);
+      return parsed.origin !== location.origin && parsed.protocol.startsWith('http') ? parsed.origin : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
   function setupDNSPrefetch() {
     if (!settings.prefetchDNS) return;
 
     const origins = new Set();
     const selectors = 'a[href], img[src], script[src], link[href]';
 
-    document.querySelectorAll(selectors).forEach(el => {
+    queryAll(selectors).forEach(el => {
       const url = el.href || el.src || el.getAttribute('href');
-      if (!url) return;
-      try {
-        const parsed = new URL(url, location.href);
-        if (parsed.origin !== location.origin && parsed.protocol.startsWith('http')) {
-          origins.add(parsed.origin);
-        }
-      } catch (e) {}
+      const origin = url && thirdPartyOrigin(url);
+      if (origin) origins.add(origin);
     });
 
     let count = 0;
     for (const origin of origins) {
-      if (count >= 10) break;
+      if (count >= settings.maxDNSOrigins) break;
 
       // Skip if hints already exist
       if (document.querySelector(`link[rel="dns-prefetch"][href="${origin}"]`)) continue;
@@ -142,13 +622,13 @@
       const dns = document.createElement('link');
       dns.rel = 'dns-prefetch';
       dns.href = origin;
-      document.head.appendChild(dns);
+      insertNode('prefetchDNS', document.head, dns);
 
       const preconnect = document.createElement('link');
       preconnect.rel = 'preconnect';
       preconnect.href = origin;
       preconnect.crossOrigin = 'anonymous';
-      document.head.appendChild(preconnect);
+      insertNode('prefetchDNS', document.head, preconnect);
 
       count++;
       performanceMetrics.dnsPrefetched++;
@@ -158,7 +638,7 @@
   function preloadLCPCandidate() {
     if (!settings.preloadLCP) return;
 
-    const images = document.querySelectorAll('img[src]');
+    const images = queryAll('img[src]');
     let largestImg = null;
     let largestArea = 0;
 
@@ -174,13 +654,13 @@
       }
     });
 
-    if (largestImg && largestImg.src && largestArea > 5000) {
+    if (largestImg && largestImg.src && largestArea > settings.lcpMinArea) {
       if (!document.querySelector(`link[rel="preload"][href="${CSS.escape(largestImg.src)}"]`)) {
         const link = document.createElement('link');
         link.rel = 'preload';
         link.as = 'image';
         link.href = largestImg.src;
-        document.head.appendChild(link);
+        insertNode('preloadLCP', document.head, link);
       }
     }
   }
@@ -189,72 +669,367 @@
     if (!settings.optimizeImagePriority) return;
 
     const viewportHeight = window.innerHeight;
-    document.querySelectorAll('img').forEach(img => {
+    queryAll('img').forEach(img => {
       if (img.hasAttribute('data-fc-optimized')) return;
-      img.setAttribute('data-fc-optimized', '');
+      setAttr('optimizeImagePriority', img, 'data-fc-optimized', '');
 
       // decoding="async" for all images
       if (!img.hasAttribute('decoding')) {
-        img.setAttribute('decoding', 'async');
+        setAttr('optimizeImagePriority', img, 'decoding', 'async');
       }
 
       // fetchpriority based on viewport position
       if (!img.hasAttribute('fetchpriority')) {
         const rect = img.getBoundingClientRect();
-        if (rect.top < viewportHeight && rect.bottom > 0) {
-          img.setAttribute('fetchpriority', 'high');
-        } else {
-          img.setAttribute('fetchpriority', 'low');
-        }
+        const inViewport = rect.top < viewportHeight && rect.bottom > 0;
+        setAttr('optimizeImagePriority', img, 'fetchpriority', inViewport ? 'high' : 'low');
       }
 
       performanceMetrics.imagesOptimized++;
     });
   }
 
-  function prefetchVisibleLinks() {
-    if (!settings.prefetchLinks) return;
+  // --- Responsive image sizes ---
+  // Pages often ship srcset with a missing or generic sizes, so the browser
+  // picks a candidate for 100vw. Lazy images get sizes="auto" (the browser
+  // measures the slot itself; older browsers skip "auto" and use the rest)
+  // as the parser adds them, before they come near the viewport. Eager ones
+  // get their measured width, which is best-effort: most have chosen a
+  // candidate before there is a layout to measure. Images whose candidate
+  // has already been chosen are left alone, since a change would start a
+  // second download.
+
+  // [{ url, width }] for width-descriptor srcsets, otherwise null
+  function parseSrcset(srcset) {
+    const candidates = [];
+    // Commas inside URLs (e.g. CDN transforms) don't follow a descriptor
+    for (const part of srcset.split(/(?<=\s\d+w)\s*,\s*/)) {
+      const [url, descriptor] = part.trim().split(/\s+/);
+      const width = /^(\d+)w$/.exec(descriptor || '');
+      if (!url || !width) return null;
+      candidates.push({ url, width: Number(width[1]) });
+    }
+    return candidates.length ? candidates.sort((a, b) => a.width - b.width) : null;
+  }
+
+  // Smallest candidate covering the slot at this device pixel ratio
+  function pickCandidate(candidates, slotWidth) {
+    const needed = slotWidth * window.devicePixelRatio;
+    return candidates.find(c => c.width >= needed) || candidates[candidates.length - 1];
+  }
+
+  // Only simple lengths; anything else (calc(), min()...) is treated as unknown
+  function lengthToPixels(length) {
+    const match = /^(\d*\.?\d+)(px|vw|vh|vmin|vmax|em|rem)$/.exec(length);
+    if (!match) return null;
+    const value = Number(match[1]);
+    const { innerWidth: vw, innerHeight: vh } = window;
+    switch (match[2]) {
+      case 'px': return value;
+      case 'vw': return value * vw / 100;
+      case 'vh': return value * vh / 100;
+      case 'vmin': return value * Math.min(vw, vh) / 100;
+      case 'vmax': return value * Math.max(vw, vh) / 100;
+      // em in sizes is relative to the initial font size
+      default: return value * 16;
+    }
+  }
+
+  // Width a sizes attribute currently resolves to; 100vw when absent, null if unknown
+  function evaluateSizes(sizes) {
+    if (!sizes || !sizes.trim()) return window.innerWidth;
+    for (const entry of sizes.split(',')) {
+      const trimmed = entry.trim();
+      if (trimmed === 'auto') continue;
+      const split = trimmed.lastIndexOf(' ');
+      const media = split > 0 ? trimmed.slice(0, split) : null;
+      if (media && !window.matchMedia(media).matches) continue;
+      return lengthToPixels(trimmed.slice(split + 1));
+    }
+    return null;
+  }
+
+  function correctImageSizes(img) {
+    if (img.hasAttribute('data-fc-sized') || img.currentSrc || isExempt(img)) return;
+    // <source> elements in <picture> carry their own sizes
+    if (img.parentElement?.tagName === 'PICTURE') return;
+    const candidates = parseSrcset(img.getAttribute('srcset') || '');
+    if (!candidates) return;
+
+    const sizes = img.getAttribute('sizes');
+    const declaredWidth = evaluateSizes(sizes);
+    if (declaredWidth == null) return;
+
+    if (img.loading === 'lazy') {
+      if (/^\s*auto\b/.test(sizes || '')) return;
+      setAttr('fixImageSizes', img, 'sizes', `auto, ${sizes || '100vw'}`);
+    } else {
+      // Measuring mid-parse would force a layout per image
+      if (!phaseReached('dom')) return;
+      const slotWidth = img.getBoundingClientRect().width;
+      // Not laid out yet (no dimensions until it loads); nothing to go on
+      if (!slotWidth) return;
+      if (Math.abs(declaredWidth - slotWidth) / slotWidth < 0.1) return;
+      setAttr('fixImageSizes', img, 'sizes', `${Math.ceil(slotWidth / window.innerWidth * 100)}vw`);
+    }
+    setAttr('fixImageSizes', img, 'data-fc-sized', '');
+    performanceMetrics.imagesResized++;
+
+    addListener('fixImageSizes', img, 'load', () => {
+      countBytesAvoided(img, pickCandidate(candidates, declaredWidth));
+    }, { once: true });
+  }
+
+  // Scales the loaded file's size by the pixel area of the candidate the old sizes would have picked
+  function countBytesAvoided(img, previous) {
+    const loaded = parseSrcset(img.getAttribute('srcset') || '')
+      ?.find(c => new URL(c.url, document.baseURI).href === img.currentSrc);
+    const entry = performance.getEntriesByName(img.currentSrc)[0];
+    // Cross-origin images without Timing-Allow-Origin report no size
+    if (!loaded || !entry || !entry.encodedBodySize || previous.width <= loaded.width) return;
+    const ratio = (previous.width / loaded.width) ** 2;
+    performanceMetrics.imageBytesAvoided += Math.round(entry.encodedBodySize * (ratio - 1));
+  }
+
+  function fixImageSizes() {
+    if (!settings.fixImageSizes) return;
+    queryAll('img[srcset]:not([data-fc-sized])').forEach(correctImageSizes);
+  }
+
+  // Same-origin, HTTP(S), different-path links without side effects
+  function isSafeToPrefetch(href) {
+    try {
+      const url = new URL(href, location.href);
+      if (url.origin !== location.origin) return false;
+      if (url.pathname === location.pathname) return false;
+      if (!url.protocol.startsWith('http')) return false;
+      // Skip URLs with query params (may contain tokens, trigger side effects)
+      if (url.search) return false;
+      // Skip paths that commonly trigger state-changing actions
+      if (/\/(logout|signout|delete|remove|unsubscribe|revoke)/i.test(url.pathname)) return false;
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  function supportsSpeculationRules() {
+    return typeof HTMLScriptElement.supports === 'function' &&
+      HTMLScriptElement.supports('speculationrules');
+  }
+
+  function prefetchLinks() {
+    if (!isActive('prefetchLinks')) return;
 
     const prefetched = new Set();
-    const MAX_PREFETCH = 5;
+    const prerender = settings.prerenderLinks && supportsSpeculationRules();
+
+    // Prerender via Speculation Rules where supported, otherwise <link rel=prefetch>
+    function speculate(href) {
+      // Callbacks queued before a revert (or the master switch going off) stop here
+      if (!isActive('prefetchLinks')) return;
+      if (prefetched.has(href) || prefetched.size >= settings.maxPrefetchLinks) return;
+      if (!isSafeToPrefetch(href)) return;
+      prefetched.add(href);
+
+      if (prerender) {
+        const rules = document.createElement('script');
+        rules.type = 'speculationrules';
+        rules.textContent = JSON.stringify({ prerender: [{ source: 'list', urls: [href] }] });
+        insertNode('prefetchLinks', document.head, rules);
+      } else {
+        const link = document.createElement('link');
+        link.rel = 'prefetch';
+        link.href = href;
+        insertNode('prefetchLinks', document.head, link);
+      }
+      performanceMetrics.linksPrefetched++;
+    }
+
+    if (settings.prefetchMode === 'intent') {
+      setupIntentPrefetch(speculate);
+    } else {
+      prefetchVisibleLinks(speculate);
+    }
+  }
 
+  function prefetchVisibleLinks(speculate) {
+    const pending = new Set();
     const io = new IntersectionObserver((entries) => {
       entries.forEach(entry => {
         if (!entry.isIntersecting) return;
-        if (prefetched.size >= MAX_PREFETCH) return;
 
         const href = entry.target.href;
-        if (!href || prefetched.has(href)) return;
-
-        try {
-          const url = new URL(href);
-          // Only prefetch same-origin, HTTP(S), different-path links
-          if (url.origin !== location.origin) return;
-          if (url.pathname === location.pathname) return;
-          if (!url.protocol.startsWith('http')) return;
-          // Skip URLs with query params (may contain tokens, trigger side effects)
-          if (url.search) return;
-          // Skip paths that commonly trigger state-changing actions
-          if (/\/(logout|signout|delete|remove|unsubscribe|revoke)/i.test(url.pathname)) return;
-
-          requestIdleCallback(() => {
-            if (prefetched.size >= MAX_PREFETCH) return;
-            const link = document.createElement('link');
-            link.rel = 'prefetch';
-            link.href = href;
-            document.head.appendChild(link);
-            prefetched.add(href);
-            performanceMetrics.linksPrefetched++;
+        if (href && isSafeToPrefetch(href)) {
+          const id = requestIdleCallback(() => {
+            pending.delete(id);
+            speculate(href);
           }, { timeout: 2000 });
-        } catch (e) {}
+          pending.add(id);
+        }
 
         io.unobserve(entry.target);
       });
     });
 
-    document.querySelectorAll('a[href]').forEach(a => {
+    queryAll('a[href]').forEach(a => {
       io.observe(a);
     });
+    onRevert('prefetchLinks', () => {
+      io.disconnect();
+      pending.forEach(cancelIdleCallback);
+    });
+  }
+
+  // Prefetch on hover after a short dwell, or immediately on pointerdown/touchstart
+  function setupIntentPrefetch(speculate) {
+    let dwellTimer = null;
+    let dwellAnchor = null;
+
+    function cancelDwell() {
+      clearTimeout(dwellTimer);
+      dwellTimer = null;
+      dwellAnchor = null;
+    }
+
+    function anchorFor(event) {
+      const target = event.composedPath ? event.composedPath()[0] : event.target;
+      const anchor = target instanceof Element ? target.closest('a[href]') : null;
+      return anchor && anchor.href ? anchor : null;
+    }
+
+    addListener('prefetchLinks', document, 'mouseover', (event) => {
+      const anchor = anchorFor(event);
+      if (!anchor || anchor === dwellAnchor) return;
+      cancelDwell();
+      dwellAnchor = anchor;
+      dwellTimer = setTimeout(() => {
+        speculate(anchor.href);
+        cancelDwell();
+      }, settings.intentDelay);
+    }, { capture: true, passive: true });
+
+    addListener('prefetchLinks', document, 'mouseout', (event) => {
+      if (dwellAnchor && !dwellAnchor.contains(event.relatedTarget)) cancelDwell();
+    }, { capture: true, passive: true });
+
+    for (const type of ['pointerdown', 'touchstart']) {
+      addListener('prefetchLinks', document, type, (event) => {
+        const anchor = anchorFor(event);
+        if (anchor) speculate(anchor.href);
+      }, { capture: true, passive: true });
+    }
+
+    onRevert('prefetchLinks', cancelDwell);
+  }
+
+  // =========================================================================
+  //  EMBED FACADES
+  // =========================================================================
+  // Recognized third-party embeds are replaced by a same-size placeholder
+  // until clicked, so none of their scripts load up front. The original
+  // iframe, attributes untouched, is swapped back in on click.
+
+  const FACADE_PROVIDERS = {
+    youtube: {
+      label: 'YouTube video',
+      match: /^https?:\/\/(?:www\.)?youtube(?:-nocookie)?\.com\/embed\/([\w-]{11})/,
+      thumbnail: match => `https://i.ytimg.com/vi/${match[1]}/hqdefault.jpg`
+    },
+    vimeo: {
+      label: 'Vimeo video',
+      match: /^https?:\/\/player\.vimeo\.com\/video\/\d+/
+    },
+    googleMaps: {
+      label: 'Google Map',
+      match: /^https?:\/\/(?:www\.|maps\.)?google\.[a-z.]+\/maps\/embed/
+    },
+    twitter: {
+      label: 'post on X',
+      match: /^https?:\/\/platform\.(?:twitter|x)\.com\/embed\//
+    },
+    instagram: {
+      label: 'Instagram post',
+      match: /^https?:\/\/(?:www\.)?instagram\.com\/(?:p|reel|tv)\/[\w-]+\/embed/
+    }
+  };
+
+  const FACADE_PLAY_ICON = '<svg viewBox="0 0 68 48" width="68" height="48" aria-hidden="true">' +
+    '<rect width="68" height="48" rx="12" fill="rgba(0,0,0,0.7)"/><path d="M27 14v20l18-10z" fill="#fff"/></svg>';
+
+  // Iframes the user chose to load; never replaced again
+  const loadedEmbeds = new WeakSet();
+
+  function matchEmbed(src) {
+    for (const id of settings.facadeProviders || []) {
+      const provider = FACADE_PROVIDERS[id];
+      const match = provider && src.match(provider.match);
+      if (match) return { id, provider, match };
+    }
+    return null;
+  }
+
+  // Width/height attributes are plain numbers (px) or percentages
+  function toCssLength(value, fallback) {
+    if (!value) return fallback;
+    return /^\d+$/.test(value) ? `${value}px` : value;
+  }
+
+  function createFacade(iframe, embed) {
+    const facade = document.createElement('div');
+    // Keep class and inline style so the page's sizing rules still apply
+    if (iframe.className) facade.className = iframe.className;
+    if (iframe.hasAttribute('style')) facade.setAttribute('style', iframe.getAttribute('style'));
+    facade.setAttribute('data-fc-facade', embed.id);
+    facade.setAttribute('role', 'button');
+    facade.setAttribute('tabindex', '0');
+    facade.setAttribute('aria-label', `Load ${embed.provider.label}`);
+    facade.title = `Load ${embed.provider.label}`;
+
+    const style = facade.style;
+    if (!style.width) style.width = toCssLength(iframe.getAttribute('width'), '560px');
+    if (!style.height) style.height = toCssLength(iframe.getAttribute('height'), '315px');
+    style.display = 'inline-flex';
+    style.alignItems = 'center';
+    style.justifyContent = 'center';
+    style.maxWidth = '100%';
+    style.boxSizing = 'border-box';
+    style.cursor = 'pointer';
+    style.backgroundColor = '#0f0f11';
+    const thumbnail = embed.provider.thumbnail?.(embed.match);
+    if (thumbnail) {
+      style.backgroundImage = `url("${thumbnail}")`;
+      style.backgroundSize = 'cover';
+      style.backgroundPosition = 'center';
+    }
+    facade.innerHTML = FACADE_PLAY_ICON;
+
+    const load = () => {
+      loadedEmbeds.add(iframe);
+      facade.replaceWith(iframe);
+    };
+    facade.addEventListener('click', load, { once: true });
+    facade.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter' || event.key === ' ') {
+        event.preventDefault();
+        load();
+      }
+    });
+    return facade;
+  }
+
+  function facadeEmbed(iframe) {
+    if (!isActive('embedFacades') || !iframe.parentNode || loadedEmbeds.has(iframe)) return;
+    if (isExempt(iframe)) return;
+    const embed = matchEmbed(iframe.src);
+    if (!embed) return;
+    replaceNode('embedFacades', iframe, createFacade(iframe, embed));
+    performanceMetrics.embedsFacaded++;
+  }
+
+  function setupEmbedFacades() {
+    if (!settings.embedFacades) return;
+    queryAll('iframe[src]').forEach(facadeEmbed);
   }
 
   // =========================================================================
@@ -264,19 +1039,95 @@
   function injectFontDisplaySwap() {
     if (!settings.fontDisplaySwap) return;
 
+    const crossOrigin = [];
     try {
-      for (const sheet of document.styleSheets) {
+      const sheets = [document, ...shadowRoots].flatMap(root => [...root.styleSheets]);
+      for (const sheet of sheets) {
         try {
           for (const rule of sheet.cssRules) {
-            if (rule instanceof CSSFontFaceRule) {
+            if (rule instanceof CSSFontFaceRule && rule.style.fontDisplay !== 'swap') {
+              const oldValue = rule.style.fontDisplay;
               rule.style.fontDisplay = 'swap';
+              record('fontDisplaySwap', rule, 'font-display', oldValue || null, 'swap', () => {
+                rule.style.fontDisplay = oldValue;
+              });
+              performanceMetrics.fontsSwapped++;
             }
           }
         } catch (e) {
-          // Cross-origin stylesheets throw SecurityError - skip them
+          // Cross-origin stylesheets throw SecurityError - handled below
+          if (sheet.href) crossOrigin.push(sheet.href);
         }
       }
     } catch (e) {}
+
+    if (crossOrigin.length > 0) swapCrossOriginFonts([...new Set(crossOrigin)]);
+  }
+
+  // Cross-origin sheets are read with a CORS request made as this page
+  // (content script fetches carry the page's origin), so only sheets the
+  // page could read itself come back, and without cookies. No privileged
+  // extension fetch is involved.
+  async function fetchStylesheet(url) {
+    try {
+      const response = await fetch(url, { mode: 'cors', credentials: 'omit' });
+      const type = response.headers.get('content-type') || '';
+      if (!response.ok || !type.includes('text/css')) return null;
+      return await response.text();
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Cross-origin sheets (Google Fonts, Adobe Fonts, CDNs) can't be edited in
+  // place, so their @font-face rules are fetched again (where the host
+  // allows CORS) and declared again with font-display: swap. Later identical faces win.
+  async function swapCrossOriginFonts(hrefs) {
+    const faces = [];
+    for (const href of hrefs) {
+      const css = await fetchStylesheet(href);
+      if (!css || !css.includes('@font-face')) continue;
+
+      const sheet = new CSSStyleSheet();
+      try {
+        sheet.replaceSync(css);
+      } catch (e) {
+        continue;
+      }
+      for (const rule of sheet.cssRules) {
+        if (rule instanceof CSSFontFaceRule && rule.style.fontDisplay !== 'swap') {
+          faces.push(redeclareFontFace(rule, href));
+        }
+      }
+    }
+
+    // Feature may have been switched off while the sheets were fetched
+    if (faces.length === 0 || !isActive('fontDisplaySwap')) return;
+    if (document.getElementById('faster-chromium-font-swap')) return;
+
+    const style = document.createElement('style');
+    style.id = 'faster-chromium-font-swap';
+    style.textContent = faces.join('\n');
+    insertNode('fontDisplaySwap', document.head || document.documentElement, style);
+    performanceMetrics.fontsSwapped += faces.length;
+  }
+
+  // CSS text with its url()s resolved against the sheet it came from
+  function resolveCssUrls(text, baseHref) {
+    return text.replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/g, (match, quote, url) => {
+      try {
+        return `url("${new URL(url, baseHref).href}")`;
+      } catch (e) {
+        return match;
+      }
+    });
+  }
+
+  // The rule's text with font-display: swap and url()s resolved against its sheet
+  function redeclareFontFace(rule, baseHref) {
+    const text = resolveCssUrls(rule.cssText, baseHref)
+      .replace(/font-display:[^;}]*;?/g, '');
+    return text.replace(/}\s*$/, ' font-display: swap; }');
   }
 
   function injectContentVisibility() {
@@ -292,8 +1143,8 @@
     candidates.forEach(el => {
       const rect = el.getBoundingClientRect();
       // Only apply to elements well below the fold and reasonably sized
-      if (rect.top > viewportHeight * 1.5 && rect.height > 100) {
-        el.setAttribute('data-fc-cv', '');
+      if (rect.top > viewportHeight * settings.cvViewportFactor && rect.height > 100) {
+        setAttr('contentVisibility', el, 'data-fc-cv', '');
         tagged++;
       }
     });
@@ -304,60 +1155,623 @@
       style.textContent = `
         [data-fc-cv] {
           content-visibility: auto;
-          contain-intrinsic-size: auto 500px;
+          contain-intrinsic-size: auto ${settings.cvIntrinsicSize}px;
         }
       `;
-      document.head.appendChild(style);
+      insertNode('contentVisibility', document.head, style);
     }
   }
 
   function stabilizeImageLayout() {
     if (!settings.stabilizeLayout) return;
 
-    document.querySelectorAll('img:not([data-fc-stabilized])').forEach(img => {
+    queryAll('img:not([data-fc-stabilized])').forEach(img => {
       // Skip images that already have both width and height
       if (img.hasAttribute('width') && img.hasAttribute('height')) return;
 
       if (img.naturalWidth && img.naturalHeight) {
-        img.setAttribute('width', img.naturalWidth);
-        img.setAttribute('height', img.naturalHeight);
-        img.style.aspectRatio = `${img.naturalWidth} / ${img.naturalHeight}`;
-        img.setAttribute('data-fc-stabilized', '');
+        setImageDimensions(img);
       } else {
         // Wait for image to load, then fill in dimensions
-        img.addEventListener('load', function onLoad() {
+        addListener('stabilizeLayout', img, 'load', function onLoad() {
           if (img.naturalWidth && img.naturalHeight && !img.hasAttribute('data-fc-stabilized')) {
-            img.setAttribute('width', img.naturalWidth);
-            img.setAttribute('height', img.naturalHeight);
-            img.style.aspectRatio = `${img.naturalWidth} / ${img.naturalHeight}`;
-            img.setAttribute('data-fc-stabilized', '');
+            setImageDimensions(img);
           }
         }, { once: true });
       }
     });
   }
 
+  function setImageDimensions(img) {
+    setAttr('stabilizeLayout', img, 'width', img.naturalWidth);
+    setAttr('stabilizeLayout', img, 'height', img.naturalHeight);
+    setStyle('stabilizeLayout', img, 'aspect-ratio', `${img.naturalWidth} / ${img.naturalHeight}`);
+    setAttr('stabilizeLayout', img, 'data-fc-stabilized', '');
+  }
+
   // =========================================================================
   //  NEW: RENDER-BLOCKING CSS MITIGATION
   // =========================================================================
 
   function handleNewStylesheet(link) {
     if (!settings.nonBlockingCSS) return;
+    // Without captured rules the page would render unstyled, so sheets keep
+    // blocking until a capture exists
+    if (settings.cssStrategy === 'critical' && !criticalCSS) return;
     if (link.rel !== 'stylesheet' || !link.href) return;
-    if (link.hasAttribute('data-fc-nb')) return;
+    if (link.hasAttribute('data-fc-nb') || isExempt(link)) return;
     // Skip already-loaded stylesheets — no benefit in toggling media
     if (link.sheet) return;
     // Skip stylesheets with targeted media queries (already non-blocking)
     if (link.media && link.media !== 'all' && link.media !== '') return;
 
-    link.setAttribute('data-fc-nb', '');
-    link.media = 'print';
-    link.addEventListener('load', () => {
-      link.media = 'all';
+    setAttr('nonBlockingCSS', link, 'data-fc-nb', '');
+    setAttr('nonBlockingCSS', link, 'media', 'print');
+    addListener('nonBlockingCSS', link, 'load', () => {
+      setAttr('nonBlockingCSS', link, 'media', 'all');
     }, { once: true });
     performanceMetrics.cssNonBlocked++;
   }
 
+  function applyNonBlockingCSS() {
+    if (!settings.nonBlockingCSS || settings.cssStrategy !== 'critical' || !IS_TOP_FRAME) return;
+    // Stylesheets added from here on are made non-blocking by the MutationObserver
+    inlineCriticalCSS();
+    if (phaseReached('load')) scheduleCriticalCapture();
+  }
+
+  // =========================================================================
+  //  CRITICAL CSS
+  // =========================================================================
+  // With the 'critical' strategy, the rules that style the first viewport are
+  // captured after load and stored per URL pattern by the background script.
+  // Later visits receive them with their settings and inline them at
+  // document_start, so the full stylesheets can load without blocking. A
+  // capture is replaced once the page's stylesheet URLs or contents change.
+
+  const CRITICAL_STYLE_ID = 'faster-chromium-critical-css';
+  const MAX_CRITICAL_CSS_LENGTH = 60000;
+  const MAX_FOLD_ELEMENTS = 2000;
+  const PSEUDO_ELEMENT = /::?(?:before|after|first-line|first-letter|marker|placeholder|selection|backdrop|file-selector-button|-[a-z-]+)/g;
+
+  function usesCriticalCSS() {
+    return IS_TOP_FRAME && isActive('nonBlockingCSS') && settings.cssStrategy === 'critical';
+  }
+
+  function inlineCriticalCSS() {
+    if (!criticalCSS || document.getElementById(CRITICAL_STYLE_ID)) return;
+    const style = document.createElement('style');
+    style.id = CRITICAL_STYLE_ID;
+    style.textContent = criticalCSS.css;
+    insertNode('nonBlockingCSS', document.head || document.documentElement, style);
+  }
+
+  function scheduleCriticalCapture() {
+    if (criticalCaptureScheduled) return;
+    criticalCaptureScheduled = true;
+    requestIdleCallback(() => {
+      captureCriticalCSS().finally(() => {
+        criticalCaptureScheduled = false;
+      });
+    }, { timeout: 2000 });
+  }
+
+  // FNV-1a, enough to notice a stylesheet has changed
+  function hashText(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16);
+  }
+
+  // Original text of each linked stylesheet, in document order. Read from the
+  // network rather than the CSSOM, which other features edit in place. Null
+  // when any of them can't be read (e.g. a cross-origin host without CORS),
+  // since critical CSS missing a sheet's rules would flash unstyled content.
+  async function readStylesheets() {
+    const links = [...document.querySelectorAll('link[rel="stylesheet"][href]')];
+    const sheets = await Promise.all(links.map(async (link) => {
+      const href = link.href;
+      const text = new URL(href).origin === location.origin
+        ? await fetch(href, { cache: 'force-cache' }).then(r => r.ok ? r.text() : null).catch(() => null)
+        : await fetchStylesheet(href);
+      return text == null ? null : { href, text, hash: hashText(text) };
+    }));
+    return sheets.includes(null) ? null : sheets;
+  }
+
+  function sameStylesheets(a, b) {
+    return a.length === b.length &&
+      a.every((sheet, i) => sheet.href === b[i].href && sheet.hash === b[i].hash);
+  }
+
+  // Everything rendered in the first viewport. Hidden elements report a
+  // zero rect at the top, so the rules keeping them hidden are kept too.
+  function getFoldElements() {
+    const fold = new Set([document.documentElement, document.body]);
+    for (const el of document.body.querySelectorAll('*')) {
+      const rect = el.getBoundingClientRect();
+      if (rect.top + window.scrollY < window.innerHeight) fold.add(el);
+      if (fold.size >= MAX_FOLD_ELEMENTS) break;
+    }
+    return fold;
+  }
+
+  function matchesFold(selectorText, fold) {
+    const selector = selectorText.replace(PSEUDO_ELEMENT, '').trim();
+    if (!selector) return false;
+    try {
+      for (const el of document.querySelectorAll(selector)) {
+        if (fold.has(el)) return true;
+      }
+    } catch (e) {}
+    return false;
+  }
+
+  // Prelude of a grouping rule that applies here, or null
+  function groupPrelude(rule) {
+    if (rule instanceof CSSMediaRule) {
+      return window.matchMedia(rule.conditionText).matches ? `@media ${rule.conditionText}` : null;
+    }
+    if (rule instanceof CSSSupportsRule) {
+      return CSS.supports(rule.conditionText) ? `@supports ${rule.conditionText}` : null;
+    }
+    if (rule instanceof CSSLayerBlockRule) return `@layer ${rule.name}`;
+    return null;
+  }
+
+  function collectCriticalRules(rules, baseHref, fold, out) {
+    for (const rule of rules) {
+      if (rule instanceof CSSStyleRule) {
+        if (matchesFold(rule.selectorText, fold)) out.push(resolveCssUrls(rule.cssText, baseHref));
+      } else if (rule instanceof CSSFontFaceRule || rule instanceof CSSLayerStatementRule) {
+        out.push(resolveCssUrls(rule.cssText, baseHref));
+      } else if (rule.cssRules) {
+        const prelude = groupPrelude(rule);
+        if (!prelude) continue;
+        const inner = [];
+        collectCriticalRules(rule.cssRules, baseHref, fold, inner);
+        if (inner.length > 0) out.push(`${prelude} {\n${inner.join('\n')}\n}`);
+      }
+    }
+  }
+
+  async function captureCriticalCSS() {
+    if (!usesCriticalCSS() || !document.body) return;
+    const sheets = await readStylesheets();
+    if (!sheets) return;
+    const stylesheets = sheets.map(({ href, hash }) => ({ href, hash }));
+    if (sheets.length === 0 || (criticalCSS && sameStylesheets(criticalCSS.stylesheets, stylesheets))) return;
+
+    const fold = getFoldElements();
+    const rules = [];
+    for (const { href, text } of sheets) {
+      const sheet = new CSSStyleSheet();
+      try {
+        sheet.replaceSync(text);
+      } catch (e) {
+        continue;
+      }
+      collectCriticalRules(sheet.cssRules, href, fold, rules);
+    }
+
+    let css = '';
+    for (const rule of rules) {
+      if (css.length + rule.length > MAX_CRITICAL_CSS_LENGTH) break;
+      css += `${rule}\n`;
+    }
+    // Settings may have changed while the sheets were fetched
+    if (!usesCriticalCSS()) return;
+    chrome.runtime.sendMessage({ type: 'SAVE_CRITICAL_CSS', css, stylesheets }, (response) => {
+      if (chrome.runtime.lastError || !response?.success) return;
+      criticalCSS = { css, stylesheets };
+    });
+  }
+
+  // =========================================================================
+  //  SHADOW DOM
+  // =========================================================================
+  // Open shadow roots are found by scanning added subtrees for hosts, and by
+  // injected.js announcing roots attached to hosts already in the document.
+  // Known roots are observed like the document, and queryAll() searches them
+  // so every pass covers web components too. Closed roots stay untouched.
+
+  // Matches in the document and in every known shadow root
+  function queryAll(selector) {
+    const found = [...document.querySelectorAll(selector)];
+    for (const root of shadowRoots) {
+      // Found again by the observer if the host is re-inserted
+      if (!root.host.isConnected) {
+        shadowRoots.delete(root);
+        continue;
+      }
+      found.push(...root.querySelectorAll(selector));
+    }
+    return settings?.exemptions?.length ? found.filter(el => !isExempt(el)) : found;
+  }
+
+  function findShadowRoots(node) {
+    if (node.shadowRoot) adoptShadowRoot(node.shadowRoot);
+    if (!node.querySelectorAll) return;
+    for (const el of node.querySelectorAll('*')) {
+      if (el.shadowRoot) adoptShadowRoot(el.shadowRoot);
+    }
+  }
+
+  function adoptShadowRoot(root) {
+    if (shadowRoots.has(root)) return;
+    shadowRoots.add(root);
+    if (observer) observer.observe(root, { childList: true, subtree: true });
+
+    root.querySelectorAll('link[rel="stylesheet"]').forEach(handleNewStylesheet);
+    if (isActive('disableAnimations')) insertAnimationStyle(root);
+    // Nested components
+    findShadowRoots(root);
+    scheduleCleanup();
+  }
+
+  function discoverShadowRoots() {
+    if (!settings.optimizeShadowDOM) return;
+
+    findShadowRoots(document);
+    onRevert('optimizeShadowDOM', () => {
+      shadowRoots.clear();
+      // Recreate the observer so it stops watching the forgotten roots
+      if (observer) setupMutationObserver();
+    });
+  }
+
+  // =========================================================================
+  //  WEB VITALS MEASUREMENT
+  // =========================================================================
+
+  function observeEntries(type, callback, options) {
+    try {
+      const po = new PerformanceObserver(list => callback(list.getEntries()));
+      po.observe({ type, buffered: true, ...options });
+      return po;
+    } catch (e) {
+      // Entry type not supported in this browser
+      return null;
+    }
+  }
+
+  function observeWebVitals() {
+    // TTFB — time from navigation start until the first response byte
+    const nav = performance.getEntriesByType('navigation')[0];
+    if (nav && nav.responseStart > 0) {
+      vitals.ttfb = Math.max(0, nav.responseStart - (nav.activationStart || 0));
+    }
+
+    observeEntries('paint', entries => {
+      for (const entry of entries) {
+        if (entry.name === 'first-contentful-paint') {
+          vitals.fcp = entry.startTime;
+        }
+      }
+    });
+
+    // LCP — latest candidate wins until the user first interacts with the page
+    let lcpFinal = false;
+    const finalizeLCP = () => { lcpFinal = true; };
+    ['keydown', 'pointerdown'].forEach(type => {
+      addEventListener(type, finalizeLCP, { once: true, capture: true });
+    });
+    observeEntries('largest-contentful-paint', entries => {
+      if (lcpFinal) return;
+      const last = entries[entries.length - 1];
+      if (last) vitals.lcp = last.startTime;
+    });
+
+    // CLS — largest session window (shifts < 1s apart, window capped at 5s)
+    let sessionValue = 0;
+    let sessionStart = 0;
+    let sessionLast = 0;
+    observeEntries('layout-shift', entries => {
+      for (const entry of entries) {
+        if (entry.hadRecentInput) continue;
+        if (sessionValue && entry.startTime - sessionLast < 1000 && entry.startTime - sessionStart < 5000) {
+          sessionValue += entry.value;
+        } else {
+          sessionValue = entry.value;
+          sessionStart = entry.startTime;
+        }
+        sessionLast = entry.startTime;
+        vitals.cls = Math.max(vitals.cls || 0, sessionValue);
+      }
+    });
+
+    // INP — longest interaction, ignoring one outlier per 50 interactions
+    const interactions = new Map();
+    const recordInteractions = entries => {
+      for (const entry of entries) {
+        if (!entry.interactionId) continue;
+        const prev = interactions.get(entry.interactionId) || 0;
+        interactions.set(entry.interactionId, Math.max(prev, entry.duration));
+      }
+      if (interactions.size === 0) return;
+      const durations = [...interactions.values()].sort((a, b) => b - a);
+      vitals.inp = durations[Math.min(durations.length - 1, Math.floor(durations.length / 50))];
+    };
+    observeEntries('event', recordInteractions, { durationThreshold: 40 });
+    observeEntries('first-input', recordInteractions);
+  }
+
+  // =========================================================================
+  //  PERFORMANCE BUDGETS
+  // =========================================================================
+  // The top frame checks each load against its origin's budgets (from the
+  // site profile, in settings.budgets) once the page has settled, and again
+  // when it is hidden. Sizes are transferSize, which is 0 for cached
+  // responses and for cross-origin ones without Timing-Allow-Origin.
+
+  const BUDGETS = globalThis.FasterChromiumRegistry.BUDGETS;
+  // Time after the load event for late requests, LCP candidates and shifts
+  const BUDGET_SETTLE_MS = 5000;
+
+  // Summed from a PerformanceObserver, so the resource timing buffer limit
+  // doesn't cut them short
+  const pageLoad = { requests: 0, transferBytes: 0, scriptBytes: 0, longTaskTime: 0 };
+  let budgetChecked = false;
+
+  function isScriptResource(entry) {
+    if (entry.initiatorType === 'script') return true;
+    try {
+      return /\.m?js$/.test(new URL(entry.name).pathname);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  function observePageLoad() {
+    observeEntries('resource', entries => {
+      for (const entry of entries) {
+        pageLoad.requests++;
+        pageLoad.transferBytes += entry.transferSize || 0;
+        if (isScriptResource(entry)) pageLoad.scriptBytes += entry.transferSize || 0;
+        recordThirdPartyResource(entry);
+      }
+    });
+    const hasAnimationFrames = !!observeEntries('long-animation-frame', entries => {
+      entries.forEach(recordAnimationFrame);
+    });
+    observeEntries('longtask', entries => {
+      for (const entry of entries) {
+        pageLoad.longTaskTime += entry.duration;
+        if (!hasAnimationFrames) recordLongTask(entry);
+      }
+    });
+  }
+
+  // This load so far, in the units of each budget
+  function measureBudgets() {
+    // The document itself; its transferSize is only final once it has loaded
+    const nav = performance.getEntriesByType('navigation')[0];
+    return {
+      transferKB: (pageLoad.transferBytes + (nav?.transferSize || 0)) / 1024,
+      requests: pageLoad.requests + 1,
+      scriptKB: pageLoad.scriptBytes / 1024,
+      lcp: vitals.lcp,
+      cls: vitals.cls || 0,
+      longTaskMs: pageLoad.longTaskTime
+    };
+  }
+
+  function checkBudgets() {
+    const budgets = settings?.budgets || {};
+    const actual = measureBudgets();
+    const violations = BUDGETS
+      .filter(({ key }) => budgets[key] != null && actual[key] != null && actual[key] > budgets[key])
+      .map(({ key }) => ({ key, actual: actual[key], budget: budgets[key] }));
+    budgetChecked = true;
+    if (isContextValid()) {
+      chrome.runtime.sendMessage({ type: 'BUDGET_RESULT', violations }).catch(() => {});
+    }
+  }
+
+  function scheduleBudgetCheck() {
+    if (!IS_TOP_FRAME) return;
+    setTimeout(checkBudgets, BUDGET_SETTLE_MS);
+    // Final CLS and long-task totals, for pages left open in the background
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden' && budgetChecked) checkBudgets();
+    });
+  }
+
+  // Reported to the popup with the metrics; it compares them with the
+  // budgets itself once the page has settled
+  function getBudgetReport() {
+    if (!IS_TOP_FRAME) return null;
+    return { actual: measureBudgets(), settled: budgetChecked };
+  }
+
+  // =========================================================================
+  //  THIRD-PARTY COST
+  // =========================================================================
+  // Per third-party origin (as in setupDNSPrefetch): requests and transfer
+  // size from resource timing, plus the main-thread time of its scripts and
+  // its share of blocking time from Long Animation Frames. Without LoAF,
+  // long tasks are used instead; they only name cross-origin iframes.
+
+  // Origins reported to the popup, costliest first
+  const MAX_THIRD_PARTY_ORIGINS = 10;
+
+  // origin -> { requests, transferBytes, scriptTime, blockingTime }
+  const thirdPartyCosts = new Map();
+
+  function thirdPartyCost(origin) {
+    if (!thirdPartyCosts.has(origin)) {
+      thirdPartyCosts.set(origin, { requests: 0, transferBytes: 0, scriptTime: 0, blockingTime: 0 });
+    }
+    return thirdPartyCosts.get(origin);
+  }
+
+  function recordThirdPartyResource(entry) {
+    const origin = thirdPartyOrigin(entry.name);
+    if (!origin) return;
+    const cost = thirdPartyCost(origin);
+    cost.requests++;
+    cost.transferBytes += entry.transferSize || 0;
+  }
+
+  // A frame's blocking time is split between its scripts by duration
+  function recordAnimationFrame(frame) {
+    const scripts = frame.scripts || [];
+    const total = scripts.reduce((sum, script) => sum + script.duration, 0);
+    for (const script of scripts) {
+      const origin = script.sourceURL && thirdPartyOrigin(script.sourceURL);
+      if (!origin) continue;
+      const cost = thirdPartyCost(origin);
+      cost.scriptTime += script.duration;
+      if (total > 0) cost.blockingTime += frame.blockingDuration * script.duration / total;
+    }
+  }
+
+  function recordLongTask(task) {
+    for (const attribution of task.attribution || []) {
+      const origin = attribution.containerSrc && thirdPartyOrigin(attribution.containerSrc);
+      if (!origin) continue;
+      const cost = thirdPartyCost(origin);
+      cost.scriptTime += task.duration;
+      cost.blockingTime += Math.max(0, task.duration - 50);
+    }
+  }
+
+  // Sorted by main-thread time (script + blocking), then bytes
+  function getThirdPartyReport() {
+    if (!IS_TOP_FRAME) return [];
+    const mainThread = cost => cost.scriptTime + cost.blockingTime;
+    return [...thirdPartyCosts]
+      .map(([origin, cost]) => ({ origin, ...cost }))
+      .sort((a, b) => mainThread(b) - mainThread(a) || b.transferBytes - a.transferBytes)
+      .slice(0, MAX_THIRD_PARTY_ORIGINS);
+  }
+
+  // =========================================================================
+  //  FEATURE LIFECYCLE
+  // =========================================================================
+  // Each feature is enabled once its page phase has been reached ('start',
+  // 'dom' = DOMContentLoaded, 'load'), and disabled by reverting its journal
+  // entries. `dynamic` features also run on elements added later; changing
+  // one of a feature's `tuning` values re-applies it. Phases, flags and
+  // tuning keys come from the registry in features.js; the hooks live here.
+  // Page-context features are installed by injected.js.
+
+  const REGISTRY = globalThis.FasterChromiumRegistry.FEATURES;
+
+  // Application order within a phase
+  const HOOKS = {
+    // Runs first so later passes already see the roots in the document
+    optimizeShadowDOM: discoverShadowRoots,
+    disableAnimations,
+    // New iframes are also replaced by the MutationObserver before they load
+    embedFacades: setupEmbedFacades,
+    // New stylesheets are handled by the MutationObserver while enabled
+    nonBlockingCSS: applyNonBlockingCSS,
+    lazyLoadImages: setupLazyLoading,
+    lazyLoadIframes: setupLazyLoadIframes,
+    disableAutoplay,
+    pauseOffscreenMedia,
+    reduceMediaPreload,
+    optimizeImagePriority: optimizeImageLoading,
+    // After lazyLoadImages, so images it made lazy get sizes="auto"
+    fixImageSizes,
+    prefetchDNS: setupDNSPrefetch,
+    preloadLCP: preloadLCPCandidate,
+    fontDisplaySwap: injectFontDisplaySwap,
+    contentVisibility: injectContentVisibility,
+    stabilizeLayout: stabilizeImageLayout,
+    prefetchLinks
+  };
+
+  const FEATURES = Object.fromEntries(Object.entries(HOOKS).map(([key, apply]) => {
+    const feature = REGISTRY.find(f => f.key === key);
+    return [key, { ...feature.content, tuning: feature.tuning, apply }];
+  }));
+
+  // Installed and restored live by injected.js over the page channel
+  const PAGE_CONTEXT_FEATURES = REGISTRY.filter(f => f.page).map(f => f.key);
+  const PAGE_CONTEXT_TUNING = REGISTRY.filter(f => f.page).flatMap(f => f.tuning || []);
+
+  const PHASES = ['start', 'dom', 'load'];
+
+  let pagePhase = 'start';
+
+  function isActive(key, from = settings) {
+    return !!(from && from.enabled && from[key]);
+  }
+
+  // Tuning values may be lists, which arrive as new arrays with every update
+  function sameSetting(a, b) {
+    return Array.isArray(a) && Array.isArray(b) ? a.join() === b.join() : a === b;
+  }
+
+  function phaseReached(phase) {
+    return PHASES.indexOf(pagePhase) >= PHASES.indexOf(phase);
+  }
+
+  // One failing feature mustn't keep the others from running
+  function applyFeature(key) {
+    try {
+      FEATURES[key].apply();
+    } catch (e) {
+      console.log(`[Faster Chromium] ${key} failed:`, e);
+    }
+  }
+
+  function enableFeature(key) {
+    if (!phaseReached(FEATURES[key].phase)) return; // Applied when the phase is reached
+    applyFeature(key);
+  }
+
+  function disableFeature(key) {
+    revertFeature(key);
+  }
+
+  // Apply or revert only the features whose state differs between settings
+  function syncFeatures(previous) {
+    if (!isContextValid()) return;
+
+    for (const [key, feature] of Object.entries(FEATURES)) {
+      const was = isActive(key, previous);
+      const now = isActive(key);
+      if (was && !now) disableFeature(key);
+      if (!was && now) enableFeature(key);
+      if (was && now && feature.tuning?.some(name => !sameSetting(previous[name], settings[name]))) {
+        disableFeature(key);
+        enableFeature(key);
+      }
+    }
+
+    if (pageChannelReady) configurePageScript();
+
+    if (settings.enabled) {
+      if (!observer) setupMutationObserver();
+    } else if (observer) {
+      observer.disconnect();
+      observer = null;
+    }
+  }
+
+  // Re-run every active feature from scratch
+  function refreshFeatures() {
+    for (const key of Object.keys(FEATURES)) {
+      if (!isActive(key)) continue;
+      disableFeature(key);
+      enableFeature(key);
+    }
+  }
+
+  function enterPhase(phase) {
+    pagePhase = phase;
+    if (!settings || !isContextValid()) return;
+    for (const [key, feature] of Object.entries(FEATURES)) {
+      if (feature.phase === phase && isActive(key)) enableFeature(key);
+    }
+  }
+
   // =========================================================================
   //  CORE INFRASTRUCTURE
   // =========================================================================
@@ -367,16 +1781,22 @@
     cleanupScheduled = true;
     requestIdleCallback(() => {
       cleanupScheduled = false;
-      if (!isContextValid()) return;
-      setupLazyLoading();
-      setupLazyLoadIframes();
-      optimizeImageLoading();
-      disableAutoplay();
-      reduceMediaPreload();
-      stabilizeImageLayout();
+      if (!isContextValid() || !phaseReached('dom')) return;
+      for (const [key, feature] of Object.entries(FEATURES)) {
+        if (feature.dynamic && isActive(key)) applyFeature(key);
+      }
     }, { timeout: 200 });
   }
 
+  function schedulePrune() {
+    if (pruneScheduled) return;
+    pruneScheduled = true;
+    requestIdleCallback(() => {
+      pruneScheduled = false;
+      pruneJournal();
+    }, { timeout: 1000 });
+  }
+
   function setupMutationObserver() {
     if (observer) {
       observer.disconnect();
@@ -388,6 +1808,9 @@
       let hasNewElements = false;
 
       for (const mutation of mutations) {
+        // Changes to removed elements may now be pointless to keep
+        if (mutation.removedNodes.length && journal.length) schedulePrune();
+
         for (const node of mutation.addedNodes) {
           if (node.nodeType !== Node.ELEMENT_NODE) continue;
 
@@ -396,12 +1819,26 @@
             handleNewStylesheet(node);
           }
 
-          // Check child stylesheets in added subtrees
+          // Replace embeds before their documents get going
+          if (node.tagName === 'IFRAME') {
+            facadeEmbed(node);
+          }
+
+          // Correct sizes before the image picks a candidate, during parsing too
+          if (isActive('fixImageSizes')) {
+            if (node.tagName === 'IMG') correctImageSizes(node);
+            node.querySelectorAll?.('img[srcset]').forEach(correctImageSizes);
+          }
+
+          // Check child stylesheets and embeds in added subtrees
           if (node.querySelectorAll) {
             const links = node.querySelectorAll('link[rel="stylesheet"]');
             links.forEach(link => handleNewStylesheet(link));
+            node.querySelectorAll('iframe[src]').forEach(facadeEmbed);
           }
 
+          if (isActive('optimizeShadowDOM')) findShadowRoots(node);
+
           hasNewElements = true;
         }
       }
@@ -415,34 +1852,104 @@
       childList: true,
       subtree: true
     });
+    for (const root of shadowRoots) {
+      observer.observe(root, { childList: true, subtree: true });
+    }
   }
 
-  function injectPageScript() {
-    if (!isContextValid()) return;
+  // =========================================================================
+  //  PAGE CONTEXT CHANNEL
+  // =========================================================================
+  // injected.js runs in the page's world at document_start, like this
+  // script. Its patches are switched on and off over CustomEvents whose
+  // names carry a random per-page token. The token is handed over before
+  // any page script runs and never touches the DOM, so page scripts can't
+  // listen in or spoof messages. Details are JSON strings so they cross
+  // worlds intact.
+
+  const HELLO_EVENT = 'fasterChromium:hello';
+  const TOKEN_EVENT = 'fasterChromium:token';
+
+  const channelToken = createToken();
+  let pageChannelReady = false;
+
+  function createToken() {
+    const bytes = new Uint8Array(16);
+    crypto.getRandomValues(bytes);
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  function getPageContextSettings() {
+    const pageSettings = {};
+    for (const key of PAGE_CONTEXT_FEATURES) {
+      pageSettings[key] = isActive(key);
+    }
+    for (const key of PAGE_CONTEXT_TUNING) {
+      pageSettings[key] = settings[key];
+    }
+    // Holding scripts broke their order on an earlier load of this page
+    if (deferConflict) pageSettings.deferScripts = false;
+    return pageSettings;
+  }
+
+  function sendToPage(message) {
+    document.dispatchEvent(new CustomEvent(`fc-to-page-${channelToken}`, {
+      detail: JSON.stringify(message)
+    }));
+  }
+
+  function configurePageScript() {
+    sendToPage({ type: 'configure', settings: getPageContextSettings() });
+  }
+
+  function onPageMessage(event) {
+    let message;
     try {
-      const script = document.createElement('script');
-      script.src = chrome.runtime.getURL('injected.js');
-      script.dataset.fasterChromiumSettings = JSON.stringify({
-        throttleTimers: settings.throttleTimers,
-        passiveListeners: settings.passiveListeners,
-        deferScripts: settings.deferScripts
-      });
-      (document.head || document.documentElement).appendChild(script);
-      script.onload = () => script.remove();
-    } catch (e) {}
+      message = JSON.parse(event.detail);
+    } catch (e) {
+      return;
+    }
+
+    if (message.type === 'ready') {
+      pageChannelReady = true;
+      document.removeEventListener(HELLO_EVENT, handOverToken, true);
+      // Otherwise configured once the settings arrive
+      if (settings) configurePageScript();
+    }
+
+    if (message.type === 'deferConflict' && isContextValid()) {
+      chrome.runtime.sendMessage({ type: 'DEFER_CONFLICT' }).catch(() => {});
+    }
+
+    if (message.type === 'stats') {
+      performanceMetrics.scriptsDeferred = message.stats.scriptsDeferred || 0;
+      performanceMetrics.scriptsDelayed = message.stats.scriptsDelayed || 0;
+      performanceMetrics.autoplayBlocked = message.stats.autoplayBlocked || 0;
+      delayedScripts = message.stats.delayedScripts || [];
+    }
+
+    // Dispatched on the host itself, which may sit inside another shadow root
+    if (message.type === 'shadowRoot' && isActive('optimizeShadowDOM')) {
+      const host = event.composedPath()[0];
+      if (host && host.shadowRoot) adoptShadowRoot(host.shadowRoot);
+    }
+  }
+
+  function handOverToken() {
+    document.removeEventListener(HELLO_EVENT, handOverToken, true);
+    document.dispatchEvent(new CustomEvent(TOKEN_EVENT, { detail: channelToken }));
+  }
+
+  // If injected.js ran first it is waiting for the token; otherwise it asks
+  // for it with HELLO_EVENT when it starts
+  function openPageChannel() {
+    document.addEventListener(`fc-to-content-${channelToken}`, onPageMessage);
+    document.addEventListener(HELLO_EVENT, handOverToken, true);
+    document.dispatchEvent(new CustomEvent(TOKEN_EVENT, { detail: channelToken }));
   }
 
   function onDOMContentLoaded() {
-    setupLazyLoading();
-    setupLazyLoadIframes();
-    disableAutoplay();
-    reduceMediaPreload();
-    optimizeImageLoading();
-    setupDNSPrefetch();
-    preloadLCPCandidate();
-    injectFontDisplaySwap();
-    injectContentVisibility();
-    stabilizeImageLayout();
+    enterPhase('dom');
   }
 
   function onLoad() {
@@ -450,50 +1957,62 @@
     if (performanceMetrics.loadTime == null) {
       performanceMetrics.loadTime = performance.now() - performanceMetrics.startTime;
     }
-    stabilizeImageLayout();
-    prefetchVisibleLinks();
+    // Second layout pass now that more images have their natural size
+    if (settings && isActive('stabilizeLayout')) stabilizeImageLayout();
+    if (settings && usesCriticalCSS()) scheduleCriticalCapture();
+    scheduleBudgetCheck();
+    enterPhase('load');
   }
 
-  function applyOptimizations() {
-    if (optimizationsApplied || !settings || !settings.enabled) return;
-    optimizationsApplied = true;
-
-    // --- document_start phase ---
-    injectPageScript();
-    disableAnimations();
-
-    // --- DOMContentLoaded / load phases ---
+  function trackPagePhases() {
     if (document.readyState === 'loading') {
       document.addEventListener('DOMContentLoaded', onDOMContentLoaded);
       window.addEventListener('load', onLoad);
     } else if (document.readyState === 'interactive') {
-      onDOMContentLoaded();
+      pagePhase = 'dom';
       window.addEventListener('load', onLoad);
     } else {
-      onDOMContentLoaded();
-      onLoad();
+      pagePhase = 'load';
+      scheduleBudgetCheck();
     }
+  }
 
-    setupMutationObserver();
+  // =========================================================================
+  //  UNSAVED FORM INPUT
+  // =========================================================================
+  // Discard Idle Tabs (background.js) skips tabs where the user has typed
+  // into a form that hasn't been submitted. Only the yes/no state is sent.
 
-    console.log('[Faster Chromium] Optimizations applied:', performanceMetrics);
+  let formDirty = false;
+
+  function reportFormState(dirty) {
+    if (dirty === formDirty || !isContextValid()) return;
+    formDirty = dirty;
+    chrome.runtime.sendMessage({ type: 'FORM_STATE', dirty }).catch(() => {});
   }
 
-  function removeInjectedStyles() {
-    ['faster-chromium-disable-animations', 'faster-chromium-content-visibility'].forEach(id => {
-      const el = document.getElementById(id);
-      if (el) el.remove();
-    });
-    // Remove content-visibility data attributes
-    document.querySelectorAll('[data-fc-cv]').forEach(el => {
-      el.removeAttribute('data-fc-cv');
-    });
+  function trackFormInput() {
+    addEventListener('input', (event) => {
+      const target = event.composedPath()[0];
+      if (event.isTrusted && (target.matches?.('input, textarea, select') || target.isContentEditable)) {
+        reportFormState(true);
+      }
+    }, true);
+    addEventListener('submit', () => reportFormState(false), true);
+    addEventListener('reset', () => reportFormState(false), true);
   }
 
   // =========================================================================
   //  INITIALIZATION
   // =========================================================================
 
+  // Frames get the top-level site's settings (resolved from the tab URL),
+  // but stay untouched unless Optimize Frames is on
+  function forThisFrame(next) {
+    if (IS_TOP_FRAME || next.optimizeFrames) return next;
+    return { ...next, enabled: false };
+  }
+
   function init() {
     if (!isContextValid()) return;
     try {
@@ -504,8 +2023,13 @@
         }
 
         if (response && response.settings) {
-          settings = response.settings;
-          applyOptimizations();
+          criticalCSS = response.criticalCSS || null;
+          deferConflict = !!response.deferConflict;
+          settings = forThisFrame(response.settings);
+          syncFeatures(null);
+          if (settings.enabled) {
+            console.log('[Faster Chromium] Optimizations applied:', performanceMetrics);
+          }
         }
       });
     } catch (e) {
@@ -518,18 +2042,11 @@
       if (!isContextValid()) return;
 
       if (message.type === 'SETTINGS_UPDATED') {
-        settings = message.settings;
-        optimizationsApplied = false;
-
-        if (settings.enabled) {
-          applyOptimizations();
-        } else {
-          if (observer) {
-            observer.disconnect();
-            observer = null;
-          }
-          removeInjectedStyles();
-        }
+        const previous = settings;
+        settings = forThisFrame(message.settings);
+        syncFeatures(previous);
+        // Budgets edited in the popup update the badge for the current load
+        if (IS_TOP_FRAME && budgetChecked) checkBudgets();
       }
 
       if (message.type === 'GET_METRICS') {
@@ -539,14 +2056,33 @@
             loadTime: performanceMetrics.loadTime != null
               ? performanceMetrics.loadTime
               : performance.now() - performanceMetrics.startTime
-          }
+          },
+          vitals: { ...vitals },
+          delayedScripts,
+          budget: getBudgetReport(),
+          thirdParty: getThirdPartyReport(),
+          enabled: !!settings?.enabled
         });
         return true;
       }
 
+      if (message.type === 'GET_JOURNAL') {
+        sendResponse({ entries: getJournal() });
+        return true;
+      }
+
+      if (message.type === 'REVEAL_ENTRY') {
+        sendResponse({ found: markForReveal(message.id) });
+        return true;
+      }
+
+      if (message.type === 'GET_EXEMPTION_SELECTOR') {
+        sendResponse({ selector: getExemptionSelector(message.id) });
+        return true;
+      }
+
       if (message.type === 'REFRESH_OPTIMIZATIONS') {
-        optimizationsApplied = false;
-        applyOptimizations();
+        if (settings) refreshFeatures();
         sendResponse({ success: true });
         return true;
       }
@@ -562,5 +2098,10 @@
     };
   }
 
+  openPageChannel();
+  observeWebVitals();
+  observePageLoad();
+  trackPagePhases();
+  trackFormInput();
   init();
 })();
@@ -0,0 +1,4 @@
+// Faster Chromium - DevTools Page
+// Registers the panel that lists the optimizations applied to the inspected page
+
+chrome.devtools.panels.create('Faster Chromium', 'icons/icon32.png', 'panel.html');
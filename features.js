@@ -0,0 +1,402 @@
+// Faster Chromium - Feature Registry
+// Every optimization and tuning value is declared here once. background.js
+// (importScripts), content.js (content_scripts) and the popup and options
+// pages (<script> tag) read keys, defaults and metadata from this file.
+
+(function(global) {
+  'use strict';
+
+  const SECTIONS = [
+    { id: 'resources', title: 'Resource Loading', tag: 'Network' },
+    { id: 'rendering', title: 'Rendering', tag: 'Visual' },
+    { id: 'scripts', title: 'Scripts & Interaction', tag: 'Runtime' },
+    { id: 'tabs', title: 'Tabs', tag: 'Memory' }
+  ];
+
+  // Popup label for features that can change how a page looks or behaves
+  const RISK_LABELS = {
+    low: null,
+    medium: 'Caution',
+    high: 'Experimental'
+  };
+
+  // In popup order within each section.
+  // content: phase ('start', 'dom' = DOMContentLoaded, 'load') and whether
+  //          the content.js hook also runs on elements added later
+  // page:    installed and restored by injected.js
+  // tuning:  settings that re-apply the feature when they change
+  // icon:    SVG path data for the popup (24x24 viewBox)
+  // Features with neither `content` nor `page` are run by background.js.
+  const FEATURES = [
+    {
+      key: 'prefetchDNS',
+      label: 'DNS Prefetch',
+      description: 'Preconnect to third-party domains',
+      section: 'resources',
+      default: true,
+      risk: 'low',
+      content: { phase: 'dom' },
+      tuning: ['maxDNSOrigins'],
+      icon: '<path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm-1 17.93c-3.95-.49-7-3.85-7-7.93 0-.62.08-1.21.21-1.79L9 15v1c0 1.1.9 2 2 2v1.93zm6.9-2.54c-.26-.81-1-1.39-1.9-1.39h-1v-3c0-.55-.45-1-1-1H8v-2h2c.55 0 1-.45 1-1V7h2c1.1 0 2-.9 2-2v-.41c2.93 1.19 5 4.06 5 7.41 0 2.08-.8 3.97-2.1 5.39z"/>'
+    },
+    {
+      key: 'preloadLCP',
+      label: 'Preload Hero Image',
+      description: 'Prioritize largest visible image',
+      section: 'resources',
+      default: true,
+      risk: 'low',
+      content: { phase: 'dom' },
+      tuning: ['lcpMinArea'],
+      icon: '<path d="M21 19V5c0-1.1-.9-2-2-2H5c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h14c1.1 0 2-.9 2-2zM8.5 13.5l2.5 3.01L14.5 12l4.5 6H5l3.5-4.5z"/>'
+    },
+    {
+      key: 'optimizeImagePriority',
+      label: 'Image Priority',
+      description: 'Optimize fetch & decode order',
+      section: 'resources',
+      default: true,
+      risk: 'low',
+      content: { phase: 'dom', dynamic: true },
+      icon: '<path d="M19 3H5c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h14c1.1 0 2-.9 2-2V5c0-1.1-.9-2-2-2zm-7 14l-5-5 1.41-1.41L12 14.17l7.59-7.59L21 8l-9 9z"/>'
+    },
+    {
+      key: 'fixImageSizes',
+      label: 'Responsive Sizes',
+      description: 'Fix srcset sizes to fetch smaller images',
+      section: 'resources',
+      default: false,
+      risk: 'medium',
+      content: { phase: 'dom', dynamic: true },
+      icon: '<path d="M21 15h2v2h-2v-2zm0-4h2v2h-2v-2zm2 8h-2v2c1 0 2-1 2-2zM13 3h2v2h-2V3zm8 4h2v2h-2V7zm0-4v2h2c0-1-1-2-2-2zM1 7h2v2H1V7zm16-4h2v2h-2V3zm0 16h2v2h-2v-2zM3 3C2 3 1 4 1 5h2V3zm6 0h2v2H9V3zM5 3h2v2H5V3zm-4 8v8c0 1.1.9 2 2 2h12V11H1zm2 8l2.5-3.21 1.79 2.15 2.5-3.22L13 19H3z"/>'
+    },
+    {
+      key: 'lazyLoadImages',
+      label: 'Lazy Load Images',
+      description: 'Defer off-screen images',
+      section: 'resources',
+      default: true,
+      risk: 'low',
+      content: { phase: 'dom', dynamic: true },
+      icon: '<path d="M21 19V5c0-1.1-.9-2-2-2H5c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h14c1.1 0 2-.9 2-2zM8.5 13.5l2.5 3.01L14.5 12l4.5 6H5l3.5-4.5z"/>'
+    },
+    {
+      key: 'lazyLoadIframes',
+      label: 'Lazy Load Iframes',
+      description: 'Defer off-screen embeds',
+      section: 'resources',
+      default: true,
+      risk: 'low',
+      content: { phase: 'dom', dynamic: true },
+      icon: '<path d="M19 4H5c-1.1 0-2 .9-2 2v12c0 1.1.9 2 2 2h14c1.1 0 2-.9 2-2V6c0-1.1-.9-2-2-2zm0 14H5V6h14v12zM7 8h10v2H7z"/>'
+    },
+    // Read by content.js in subframes; no hook of its own
+    {
+      key: 'optimizeFrames',
+      label: 'Optimize Frames',
+      description: 'Also optimize inside iframes',
+      section: 'resources',
+      default: false,
+      risk: 'medium',
+      icon: '<path d="M3 5v14h18V5H3zm16 12H5V7h14v10zm-8-8H7v6h4V9zm6 0h-4v2h4V9zm0 4h-4v2h4v-2z"/>'
+    },
+    {
+      key: 'embedFacades',
+      label: 'Embed Facades',
+      description: 'Click to load video, map and social embeds',
+      section: 'resources',
+      default: false,
+      risk: 'medium',
+      content: { phase: 'start', dynamic: true },
+      tuning: ['facadeProviders'],
+      icon: '<path d="M21 3H3c-1.11 0-2 .89-2 2v14c0 1.1.89 2 2 2h18c1.1 0 2-.9 2-2V5c0-1.11-.9-2-2-2zm0 16H3V5h18v14zM9 8v8l7-4z"/>'
+    },
+    {
+      key: 'reduceMediaPreload',
+      label: 'Reduce Media Preload',
+      description: 'Prevent full video/audio download',
+      section: 'resources',
+      default: true,
+      risk: 'low',
+      content: { phase: 'dom', dynamic: true },
+      icon: '<path d="M21 3H3c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h18c1.1 0 2-.9 2-2V5c0-1.1-.9-2-2-2zm0 16H3V5h18v14zM10 8v8l5-4z"/>'
+    },
+    {
+      key: 'prefetchLinks',
+      label: 'Prefetch Links',
+      description: 'Preload links on hover intent',
+      section: 'resources',
+      default: false,
+      risk: 'medium',
+      content: { phase: 'load' },
+      tuning: ['maxPrefetchLinks', 'prefetchMode', 'intentDelay', 'prerenderLinks'],
+      icon: '<path d="M3.9 12c0-1.71 1.39-3.1 3.1-3.1h4V7H7c-2.76 0-5 2.24-5 5s2.24 5 5 5h4v-1.9H7c-1.71 0-3.1-1.39-3.1-3.1zM8 13h8v-2H8v2zm9-6h-4v1.9h4c1.71 0 3.1 1.39 3.1 3.1s-1.39 3.1-3.1 3.1h-4V17h4c2.76 0 5-2.24 5-5s-2.24-5-5-5z"/>'
+    },
+    // Changes how prefetchLinks fetches; no hook of its own
+    {
+      key: 'prerenderLinks',
+      label: 'Prerender Links',
+      description: 'Use Speculation Rules when supported',
+      section: 'resources',
+      default: false,
+      risk: 'medium',
+      icon: '<path d="M15.5 5H11l5 7-5 7h4.5l5-7z"/><path d="M8.5 5H4l5 7-5 7h4.5l5-7z"/>'
+    },
+    {
+      key: 'disableAnimations',
+      label: 'Limit Animations',
+      description: 'Pause offscreen & looping motion',
+      section: 'rendering',
+      default: true,
+      risk: 'low',
+      content: { phase: 'start', dynamic: true },
+      tuning: ['animationMode'],
+      icon: '<path d="M4 19h16v2H4v-2zm5-4h11v2H9v-2zm-5-4h16v2H4v-2zm0-8h16v2H4V3zm5 4h11v2H9V7z"/>'
+    },
+    {
+      key: 'disableAutoplay',
+      label: 'Stop Autoplay',
+      description: 'Block play() until you interact',
+      section: 'rendering',
+      default: true,
+      risk: 'low',
+      content: { phase: 'dom', dynamic: true },
+      page: true,
+      tuning: ['mutedAutoplay'],
+      icon: '<path d="M6 19h4V5H6v14zm8-14v14h4V5h-4z"/>'
+    },
+    {
+      key: 'pauseOffscreenMedia',
+      label: 'Pause Offscreen Media',
+      description: 'Pause players scrolled out of view',
+      section: 'rendering',
+      default: false,
+      risk: 'medium',
+      content: { phase: 'dom', dynamic: true },
+      tuning: ['offscreenMediaDelay'],
+      icon: '<path d="M21 3H3c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h18c1.1 0 2-.9 2-2V5c0-1.1-.9-2-2-2zm0 16H3V5h18v14zM9 8h2v8H9V8zm4 0h2v8h-2V8z"/>'
+    },
+    {
+      key: 'fontDisplaySwap',
+      label: 'Font Display Swap',
+      description: 'Prevent invisible text flash',
+      section: 'rendering',
+      default: true,
+      risk: 'low',
+      content: { phase: 'dom' },
+      icon: '<path d="M9.93 13.5h4.14L12 7.98 9.93 13.5zM20 2H4c-1.1 0-2 .9-2 2v16c0 1.1.9 2 2 2h16c1.1 0 2-.9 2-2V4c0-1.1-.9-2-2-2zm-4.05 16.5l-1.14-3H9.17l-1.12 3H5.96l5.11-13h1.86l5.11 13h-2.09z"/>'
+    },
+    {
+      key: 'nonBlockingCSS',
+      label: 'Non-Blocking CSS',
+      description: 'Load stylesheets asynchronously',
+      section: 'rendering',
+      default: true,
+      risk: 'low',
+      content: { phase: 'start' },
+      tuning: ['cssStrategy'],
+      icon: '<path d="M3 3h18v2H3V3zm0 4h12v2H3V7zm0 4h18v2H3v-2zm0 4h12v2H3v-2zm0 4h18v2H3v-2z"/>'
+    },
+    {
+      key: 'contentVisibility',
+      label: 'Content Visibility',
+      description: 'Skip rendering off-screen content',
+      section: 'rendering',
+      default: true,
+      risk: 'low',
+      content: { phase: 'dom' },
+      tuning: ['cvViewportFactor', 'cvIntrinsicSize'],
+      icon: '<path d="M12 4.5C7 4.5 2.73 7.61 1 12c1.73 4.39 6 7.5 11 7.5s9.27-3.11 11-7.5c-1.73-4.39-6-7.5-11-7.5zM12 17c-2.76 0-5-2.24-5-5s2.24-5 5-5 5 2.24 5 5-2.24 5-5 5zm0-8c-1.66 0-3 1.34-3 3s1.34 3 3 3 3-1.34 3-3-1.34-3-3-3z"/>'
+    },
+    {
+      key: 'stabilizeLayout',
+      label: 'Stabilize Layout',
+      description: 'Reduce layout shifts (CLS)',
+      section: 'rendering',
+      default: true,
+      risk: 'low',
+      content: { phase: 'dom', dynamic: true },
+      icon: '<path d="M19 12h-2v3h-3v2h5v-5zM7 9h3V7H5v5h2V9zm14-6H3c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h18c1.1 0 2-.9 2-2V5c0-1.1-.9-2-2-2zm0 16.01H3V4.99h18v14.02z"/>'
+    },
+    {
+      key: 'optimizeShadowDOM',
+      label: 'Shadow DOM',
+      description: 'Optimize inside web components',
+      section: 'rendering',
+      default: true,
+      risk: 'low',
+      content: { phase: 'start' },
+      page: true,
+      icon: '<path d="M11.99 18.54l-7.37-5.73L3 14.07l9 7 9-7-1.63-1.27-7.38 5.74zM12 16l7.36-5.73L21 9l-9-7-9 7 1.63 1.27L12 16z"/>'
+    },
+    {
+      key: 'throttleTimers',
+      label: 'Throttle Timers',
+      description: 'Reduce CPU usage',
+      section: 'scripts',
+      default: true,
+      risk: 'low',
+      page: true,
+      tuning: ['minInterval', 'minTimeout'],
+      icon: '<path d="M11.99 2C6.47 2 2 6.48 2 12s4.47 10 9.99 10C17.52 22 22 17.52 22 12S17.52 2 11.99 2zM12 20c-4.42 0-8-3.58-8-8s3.58-8 8-8 8 3.58 8 8-3.58 8-8 8zm.5-13H11v6l5.25 3.15.75-1.23-4.5-2.67V7z"/>'
+    },
+    {
+      key: 'backgroundThrottling',
+      label: 'Background Throttling',
+      description: 'Slow timers & pause loops in hidden tabs',
+      section: 'scripts',
+      default: false,
+      risk: 'medium',
+      page: true,
+      tuning: ['hiddenMinInterval', 'hiddenTimeoutBucket'],
+      icon: '<path d="M6 2v6h.01L6 8.01 10 12l-4 4 .01.01H6V22h12v-5.99h-.01L18 16l-4-4 4-3.99-.01-.01H18V2H6zm10 14.5V20H8v-3.5l4-4 4 4zm-4-5l-4-4V4h8v3.5l-4 4z"/>'
+    },
+    {
+      key: 'passiveListeners',
+      label: 'Passive Listeners',
+      description: 'Smooth scroll & touch',
+      section: 'scripts',
+      default: true,
+      risk: 'low',
+      page: true,
+      icon: '<path d="M9 11H7v2h2v-2zm4 0h-2v2h2v-2zm4 0h-2v2h2v-2zm2-7h-1V2h-2v2H8V2H6v2H5c-1.11 0-1.99.9-1.99 2L3 20c0 1.1.89 2 2 2h14c1.1 0 2-.9 2-2V6c0-1.1-.9-2-2-2zm0 16H5V9h14v11z"/>'
+    },
+    {
+      key: 'delayThirdParty',
+      label: 'Delay Third-Party',
+      description: 'Hold chat & analytics until interaction',
+      section: 'scripts',
+      default: false,
+      risk: 'medium',
+      page: true,
+      tuning: ['delayScriptPatterns', 'delayTimeout'],
+      icon: '<path d="M11.99 2C6.47 2 2 6.48 2 12s4.47 10 9.99 10C17.52 22 22 17.52 22 12S17.52 2 11.99 2zM12 20c-4.42 0-8-3.58-8-8s3.58-8 8-8 8 3.58 8 8-3.58 8-8 8zm.5-13H11v6l5.25 3.15.75-1.23-4.5-2.67z"/>'
+    },
+    {
+      key: 'deferScripts',
+      label: 'Defer Scripts',
+      description: 'Run blocking scripts after parsing, in order',
+      section: 'scripts',
+      default: false,
+      risk: 'medium',
+      page: true,
+      tuning: ['deferScriptHosts'],
+      icon: '<path d="M9.4 16.6L4.8 12l4.6-4.6L8 6l-6 6 6 6 1.4-1.4zm5.2 0l4.6-4.6-4.6-4.6L16 6l6 6-6 6-1.4-1.4z"/>'
+    },
+    {
+      key: 'discardIdleTabs',
+      label: 'Discard Idle Tabs',
+      description: 'Free memory of long-unused tabs',
+      section: 'tabs',
+      default: false,
+      risk: 'medium',
+      tuning: ['idleTabMinutes'],
+      icon: '<path d="M21 3H3c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h18c1.1 0 2-.9 2-2V5c0-1.1-.9-2-2-2zm0 16H3V9h10v4h8v6z"/>'
+    }
+  ];
+
+  const HOST_PATTERN = /^[a-z0-9-]+(?:\.[a-z0-9-]+)*$/;
+
+  // Values shown on the options page: numbers (min/max/step), one of
+  // `choices`, several of them (`multiple`), or a free-form `list` whose
+  // entries must match `pattern`
+  const TUNING = [
+    { key: 'maxDNSOrigins', section: 'resources', label: 'DNS prefetch origins', description: 'Most third-party origins to preconnect to per page', unit: '', min: 0, max: 30, step: 1, default: 10 },
+    { key: 'prefetchMode', section: 'resources', label: 'Prefetch trigger', description: 'When Prefetch Links fetches a link', choices: [['intent', 'Hover / press'], ['viewport', 'Scrolled into view']], default: 'intent' },
+    { key: 'intentDelay', section: 'resources', label: 'Hover dwell time', description: 'How long the pointer must rest on a link before it is prefetched', unit: 'ms', min: 0, max: 1000, step: 5, default: 65 },
+    { key: 'maxPrefetchLinks', section: 'resources', label: 'Prefetched links', description: 'Most same-origin links to prefetch or prerender per page', unit: '', min: 1, max: 20, step: 1, default: 5 },
+    { key: 'lcpMinArea', section: 'resources', label: 'Hero image minimum area', description: 'Smallest visible image that is preloaded as the LCP candidate', unit: 'px²', min: 0, max: 500000, step: 100, default: 5000 },
+    {
+      key: 'facadeProviders',
+      section: 'resources',
+      label: 'Facade providers',
+      description: 'Embeds replaced by a click-to-load placeholder (Embed Facades)',
+      multiple: true,
+      choices: [['youtube', 'YouTube'], ['vimeo', 'Vimeo'], ['googleMaps', 'Google Maps'], ['twitter', 'X / Twitter'], ['instagram', 'Instagram']],
+      default: ['youtube', 'vimeo', 'googleMaps', 'twitter', 'instagram']
+    },
+    {
+      key: 'mutedAutoplay',
+      section: 'rendering',
+      label: 'Muted autoplay',
+      description: 'Whether Stop Autoplay still lets muted media play inline without an interaction',
+      choices: [['allow', 'Allow'], ['block', 'Block']],
+      default: 'allow'
+    },
+    { key: 'offscreenMediaDelay', section: 'rendering', label: 'Offscreen media delay', description: 'How long media may keep playing out of view before it is paused (Pause Offscreen Media)', unit: 'ms', min: 0, max: 60000, step: 500, default: 5000 },
+    {
+      key: 'animationMode',
+      section: 'rendering',
+      label: 'Animation policy',
+      description: 'What Limit Animations stops: only what reduced motion would, looping animations, animations outside the viewport, or all motion',
+      choices: [['reduced', 'Reduced motion'], ['infinite', 'Pause looping'], ['offscreen', 'Pause offscreen'], ['all', 'Disable all']],
+      default: 'all'
+    },
+    {
+      key: 'cssStrategy',
+      section: 'rendering',
+      label: 'Stylesheet strategy',
+      description: 'How Non-Blocking CSS loads stylesheets: swap in from print media, or inline the above-the-fold rules captured on an earlier visit first',
+      choices: [['print', 'media="print" swap'], ['critical', 'Critical CSS']],
+      default: 'print'
+    },
+    { key: 'cvViewportFactor', section: 'rendering', label: 'Content visibility distance', description: 'Sections starting below this many viewport heights are skipped', unit: '×', min: 1, max: 10, step: 0.1, default: 1.5 },
+    { key: 'cvIntrinsicSize', section: 'rendering', label: 'Placeholder height', description: 'contain-intrinsic-size used for skipped sections', unit: 'px', min: 50, max: 5000, step: 10, default: 500 },
+    { key: 'minInterval', section: 'scripts', label: 'Minimum interval', description: 'Floor for setInterval delays (Throttle Timers)', unit: 'ms', min: 16, max: 5000, step: 1, default: 100 },
+    { key: 'minTimeout', section: 'scripts', label: 'Minimum timeout', description: 'Floor for setTimeout delays (Throttle Timers)', unit: 'ms', min: 0, max: 1000, step: 1, default: 10 },
+    { key: 'hiddenMinInterval', section: 'scripts', label: 'Hidden tab interval', description: 'Floor for setInterval while the tab is hidden (Background Throttling)', unit: 'ms', min: 100, max: 60000, step: 100, default: 1000 },
+    { key: 'hiddenTimeoutBucket', section: 'scripts', label: 'Hidden tab timeout batching', description: 'Timeouts in hidden tabs fire together on this boundary (Background Throttling)', unit: 'ms', min: 100, max: 60000, step: 100, default: 1000 },
+    {
+      key: 'deferScriptHosts',
+      section: 'scripts',
+      label: 'Cross-origin script hosts',
+      description: 'Hosts whose scripts Defer Scripts may also hold back, one per line (subdomains included)',
+      list: true,
+      pattern: HOST_PATTERN,
+      default: []
+    },
+    {
+      key: 'delayScriptPatterns',
+      section: 'scripts',
+      label: 'Delayed script patterns',
+      description: 'Third-party script URLs containing any of these are delayed too, one per line (Delay Third-Party)',
+      list: true,
+      pattern: /^\S+$/,
+      default: []
+    },
+    { key: 'delayTimeout', section: 'scripts', label: 'Delay timeout', description: 'Delayed scripts run this long after load even without interaction (Delay Third-Party)', unit: 'ms', min: 1000, max: 60000, step: 500, default: 10000 },
+    { key: 'idleTabMinutes', section: 'tabs', label: 'Idle time', description: 'How long a background tab goes unfocused before it is discarded (Discard Idle Tabs)', unit: 'min', min: 5, max: 1440, step: 1, default: 60 }
+  ];
+
+  // Per-site performance budgets, set in the popup and stored in the site
+  // profile. content.js measures each top-level load in these units.
+  const BUDGETS = [
+    { key: 'transferKB', label: 'Transfer', unit: 'KB', min: 1, max: 1000000, step: 1 },
+    { key: 'requests', label: 'Requests', unit: '', min: 1, max: 10000, step: 1 },
+    { key: 'scriptKB', label: 'JavaScript', unit: 'KB', min: 1, max: 1000000, step: 1 },
+    { key: 'lcp', label: 'LCP', unit: 'ms', min: 100, max: 60000, step: 100 },
+    { key: 'cls', label: 'CLS', unit: '', min: 0, max: 10, step: 0.01 },
+    { key: 'longTaskMs', label: 'Long tasks', unit: 'ms', min: 0, max: 60000, step: 10 }
+  ];
+
+  // Fresh copy of every setting at its default, with the master switch on
+  function getDefaultSettings() {
+    const settings = { enabled: true };
+    for (const feature of FEATURES) {
+      settings[feature.key] = feature.default;
+    }
+    for (const field of TUNING) {
+      settings[field.key] = Array.isArray(field.default) ? [...field.default] : field.default;
+    }
+    return settings;
+  }
+
+  global.FasterChromiumRegistry = Object.freeze({
+    SECTIONS,
+    RISK_LABELS,
+    FEATURES,
+    TUNING,
+    BUDGETS,
+    getDefaultSettings
+  });
+})(globalThis);
@@ -0,0 +1,55 @@
+// Faster Chromium - Idle Tab Manager
+// Discards background tabs that haven't been focused for a while. Loaded by
+// background.js (importScripts); everything it touches comes in through
+// createIdleTabManager(), so it runs against any chrome.tabs-shaped object.
+
+(function(global) {
+  'use strict';
+
+  // tabs:            { query(queryInfo), discard(tabId) }, both returning promises
+  // getSettings:     tab -> effective settings for the tab's URL
+  // hasUnsavedInput: tabId -> whether a frame reported unsaved form input
+  // now:             clock, in ms
+  function createIdleTabManager({ tabs, getSettings, hasUnsavedInput, now = Date.now }) {
+    // Why a tab has to stay loaded, or null when it may be discarded
+    function skipReason(tab) {
+      if (tab.active) return 'active';
+      if (tab.discarded) return 'discarded';
+      if (tab.pinned) return 'pinned';
+      if (tab.audible) return 'audible';
+      // Set by the user (or another extension) to keep the tab loaded
+      if (tab.autoDiscardable === false) return 'not-discardable';
+
+      const settings = getSettings(tab);
+      if (!settings || !settings.enabled || !settings.discardIdleTabs) return 'disabled';
+      if (hasUnsavedInput(tab.id)) return 'unsaved-input';
+      // lastAccessed is missing on tabs never focused since the browser started
+      if (!(tab.lastAccessed <= now() - settings.idleTabMinutes * 60000)) return 'recent';
+      return null;
+    }
+
+    // Discards every eligible tab; returns the ids that were discarded
+    async function sweep() {
+      const all = await tabs.query({});
+      const discarded = [];
+      for (const tab of all) {
+        if (skipReason(tab)) continue;
+        try {
+          // Resolves to undefined when the browser refuses (e.g. the tab just got focus)
+          if (await tabs.discard(tab.id)) discarded.push(tab.id);
+        } catch (e) {
+          // Closed while sweeping
+        }
+      }
+      return discarded;
+    }
+
+    async function countDiscarded() {
+      return (await tabs.query({ discarded: true })).length;
+    }
+
+    return { skipReason, sweep, countDiscarded };
+  }
+
+  global.createIdleTabManager = createIdleTabManager;
+})(globalThis);
@@ -1,109 +1,832 @@
 // Faster Chromium - Injected Script
-// Runs in the actual page context (not isolated world) for JS-level performance tuning
+// Runs in the actual page context (MAIN world content script at
+// document_start) for JS-level performance tuning
 
 (function() {
   'use strict';
 
-  const scriptTag = document.currentScript;
-  let injectedSettings = { throttleTimers: false, passiveListeners: false, deferScripts: false };
-  if (scriptTag && scriptTag.dataset.fasterChromiumSettings) {
-    try {
-      injectedSettings = JSON.parse(scriptTag.dataset.fasterChromiumSettings);
-    } catch (e) {}
-  }
+  // Never install the patches twice, e.g. when the all-frames copy also
+  // reaches a top frame
+  const INSTALLED = Symbol.for('fasterChromium.injected');
+  if (window[INSTALLED]) return;
+  Object.defineProperty(window, INSTALLED, { value: true });
+
+  // Captured before any page script has run, so the channel can't be
+  // intercepted by page patches (or by our own addEventListener patch).
+  // The event helpers are bound here rather than invoked with .call(): page
+  // scripts can replace Function.prototype.call and would see the token in
+  // the event names. The same goes for JSON and the detail getter.
+  const uncurry = Function.prototype.bind.bind(Function.prototype.call);
+  const originalAddEventListener = EventTarget.prototype.addEventListener;
+  const listen = uncurry(originalAddEventListener);
+  const unlisten = uncurry(EventTarget.prototype.removeEventListener);
+  const dispatch = uncurry(EventTarget.prototype.dispatchEvent);
+  const getDetail = uncurry(Object.getOwnPropertyDescriptor(CustomEvent.prototype, 'detail').get);
+  const { stringify, parse } = JSON;
+  const originalSetAttribute = Element.prototype.setAttribute;
+  const NativeCustomEvent = window.CustomEvent;
+
+  // Handed over by content.js, see the handshake at the end
+  let channelToken = null;
+
+  const stats = {
+    scriptsDeferred: 0,
+    scriptsDelayed: 0,
+    autoplayBlocked: 0,
+    // { url, released } for each script held by delayThirdParty
+    delayedScripts: []
+  };
 
   // --- Timer throttling ---
   // Enforces minimum delays on setInterval/setTimeout to reduce CPU usage
-  // from aggressive polling loops in page scripts
+  // from aggressive polling loops in page scripts. The same wrappers carry the
+  // hidden-tab policy below, so they stay installed while either is active.
 
-  if (injectedSettings.throttleTimers) {
-    const originalSetInterval = window.setInterval;
-    const originalSetTimeout = window.setTimeout;
-    const minInterval = 100;
-    const minTimeout = 10;
+  const originalSetInterval = window.setInterval;
+  const originalSetTimeout = window.setTimeout;
+  const originalClearTimeout = window.clearTimeout;
+  // Defaults until the content script sends the tuned values
+  let minInterval = 100;
+  let minTimeout = 10;
+  let throttleActive = false;
 
-    window.setInterval = function(callback, delay, ...args) {
-      const minDelay = Math.max(delay || 0, minInterval);
+  function patchedSetInterval(callback, delay, ...args) {
+    const minDelay = throttleActive ? Math.max(delay || 0, minInterval) : delay;
+    if (!hiddenThrottleActive || typeof callback !== 'function') {
       return originalSetInterval.call(window, callback, minDelay, ...args);
-    };
+    }
+    // While hidden, skip ticks until the hidden floor has passed
+    let lastRun = 0;
+    return originalSetInterval.call(window, function(...callArgs) {
+      const now = performance.now();
+      if (document.hidden && now - lastRun < hiddenMinInterval) return;
+      lastRun = now;
+      return callback.apply(this, callArgs);
+    }, minDelay, ...args);
+  }
 
-    window.setTimeout = function(callback, delay, ...args) {
-      const minDelay = Math.max(delay || 0, minTimeout);
+  function patchedSetTimeout(callback, delay, ...args) {
+    const minDelay = throttleActive ? Math.max(delay || 0, minTimeout) : delay;
+    if (!hiddenThrottleActive || typeof callback !== 'function') {
       return originalSetTimeout.call(window, callback, minDelay, ...args);
-    };
+    }
+    const id = originalSetTimeout.call(window, function(...callArgs) {
+      const run = () => callback.apply(this, callArgs);
+      // While hidden, fire together with other timeouts on the next bucket
+      if (document.hidden && hiddenThrottleActive) {
+        queueHiddenTimeout(id, run);
+      } else {
+        run();
+      }
+    }, minDelay, ...args);
+    return id;
+  }
+
+  function patchedClearTimeout(id) {
+    queuedTimeouts.delete(id);
+    return originalClearTimeout.call(window, id);
+  }
+
+  function updateTimerPatch() {
+    if (throttleActive || hiddenThrottleActive) {
+      window.setInterval = patchedSetInterval;
+      window.setTimeout = patchedSetTimeout;
+      window.clearTimeout = patchedClearTimeout;
+    } else {
+      // References captured by page scripts fall through to the originals
+      if (window.setInterval === patchedSetInterval) window.setInterval = originalSetInterval;
+      if (window.setTimeout === patchedSetTimeout) window.setTimeout = originalSetTimeout;
+      if (window.clearTimeout === patchedClearTimeout) window.clearTimeout = originalClearTimeout;
+    }
+  }
+
+  const throttleTimers = {
+    install() {
+      throttleActive = true;
+      updateTimerPatch();
+    },
+    restore() {
+      throttleActive = false;
+      updateTimerPatch();
+    }
+  };
+
+  // --- Background tab throttling ---
+  // While the tab is hidden: intervals run at most every hiddenMinInterval,
+  // timeouts are coalesced onto shared hiddenTimeoutBucket boundaries,
+  // requestAnimationFrame callbacks are held and silent videos are paused.
+  // Everything resumes normal timing the moment the tab is visible again.
+
+  const originalRequestAnimationFrame = window.requestAnimationFrame;
+  const originalCancelAnimationFrame = window.cancelAnimationFrame;
+  const originalPlay = HTMLMediaElement.prototype.play;
+  let hiddenMinInterval = 1000;
+  let hiddenTimeoutBucket = 1000;
+  let hiddenThrottleActive = false;
+
+  const queuedTimeouts = new Map();
+  let flushTimer = null;
+
+  // Held frames get ids far above native ones so cancelAnimationFrame can tell them apart
+  const HELD_FRAME_BASE = 1e9;
+  const heldFrames = new Map();
+  // Held id -> real id once released, until the callback runs
+  const releasedFrames = new Map();
+  let nextHeldFrame = HELD_FRAME_BASE;
+
+  const pausedMedia = new Set();
+
+  function queueHiddenTimeout(id, run) {
+    queuedTimeouts.set(id, run);
+    if (flushTimer !== null) return;
+    const now = Date.now();
+    const bucketEnd = Math.ceil((now + 1) / hiddenTimeoutBucket) * hiddenTimeoutBucket;
+    flushTimer = originalSetTimeout.call(window, flushTimeouts, bucketEnd - now);
+  }
+
+  function flushTimeouts() {
+    originalClearTimeout.call(window, flushTimer);
+    flushTimer = null;
+    const queued = [...queuedTimeouts.values()];
+    queuedTimeouts.clear();
+    for (const run of queued) {
+      try {
+        run();
+      } catch (e) {
+        reportError(e);
+      }
+    }
+  }
+
+  function patchedRequestAnimationFrame(callback) {
+    if (!document.hidden) {
+      return originalRequestAnimationFrame.call(window, callback);
+    }
+    const id = ++nextHeldFrame;
+    heldFrames.set(id, callback);
+    return id;
+  }
+
+  function patchedCancelAnimationFrame(id) {
+    if (id > HELD_FRAME_BASE) {
+      // Still cancellable by its held id until it actually runs
+      if (!heldFrames.delete(id) && releasedFrames.has(id)) {
+        originalCancelAnimationFrame.call(window, releasedFrames.get(id));
+        releasedFrames.delete(id);
+      }
+      return;
+    }
+    return originalCancelAnimationFrame.call(window, id);
+  }
+
+  function releaseFrames() {
+    for (const [id, callback] of heldFrames) {
+      releasedFrames.set(id, originalRequestAnimationFrame.call(window, (time) => {
+        releasedFrames.delete(id);
+        callback(time);
+      }));
+    }
+    heldFrames.clear();
+  }
+
+  function pauseSilentVideos() {
+    for (const video of document.querySelectorAll('video')) {
+      if (!video.paused && (video.muted || video.volume === 0)) {
+        video.pause();
+        pausedMedia.add(video);
+      }
+    }
+  }
+
+  function resumePausedVideos() {
+    for (const video of pausedMedia) {
+      originalPlay.call(video).catch(() => {});
+    }
+    pausedMedia.clear();
+  }
+
+  function onVisibilityChange() {
+    if (document.hidden) {
+      pauseSilentVideos();
+    } else {
+      flushTimeouts();
+      releaseFrames();
+      resumePausedVideos();
+    }
   }
 
+  const backgroundThrottling = {
+    install() {
+      hiddenThrottleActive = true;
+      updateTimerPatch();
+      window.requestAnimationFrame = patchedRequestAnimationFrame;
+      window.cancelAnimationFrame = patchedCancelAnimationFrame;
+      listen(document, 'visibilitychange', onVisibilityChange);
+      if (document.hidden) pauseSilentVideos();
+    },
+    restore() {
+      hiddenThrottleActive = false;
+      unlisten(document, 'visibilitychange', onVisibilityChange);
+      flushTimeouts();
+      releaseFrames();
+      resumePausedVideos();
+      updateTimerPatch();
+      if (window.requestAnimationFrame === patchedRequestAnimationFrame) {
+        window.requestAnimationFrame = originalRequestAnimationFrame;
+      }
+      if (window.cancelAnimationFrame === patchedCancelAnimationFrame) {
+        window.cancelAnimationFrame = originalCancelAnimationFrame;
+      }
+    }
+  };
+
   // --- Passive event listeners ---
   // Forces passive: true on scroll/touch event listeners to prevent
-  // them from blocking the compositor thread during scrolling
-
-  if (injectedSettings.passiveListeners) {
-    const originalAddEventListener = EventTarget.prototype.addEventListener;
-    // Only touch and scroll events — NOT wheel/mousewheel, which need preventDefault()
-    // for custom scroll containers, zoom prevention, carousels, etc.
-    const passiveEvents = new Set(['touchstart', 'touchmove', 'scroll']);
-
-    EventTarget.prototype.addEventListener = function(type, listener, options) {
-      if (passiveEvents.has(type)) {
-        let opts;
-        if (typeof options === 'boolean' || options === undefined) {
-          opts = { capture: !!options, passive: true };
-        } else if (typeof options === 'object' && options !== null) {
-          opts = { ...options, passive: true };
-        } else {
-          opts = { passive: true };
-        }
-        return originalAddEventListener.call(this, type, listener, opts);
+  // them from blocking the compositor thread during scrolling.
+  // Restoring only affects listeners added afterwards.
+
+  // Only touch and scroll events — NOT wheel/mousewheel, which need preventDefault()
+  // for custom scroll containers, zoom prevention, carousels, etc.
+  const passiveEvents = new Set(['touchstart', 'touchmove', 'scroll']);
+  let passiveActive = false;
+
+  function passiveAddEventListener(type, listener, options) {
+    if (passiveActive && passiveEvents.has(type)) {
+      let opts;
+      if (typeof options === 'boolean' || options === undefined) {
+        opts = { capture: !!options, passive: true };
+      } else if (typeof options === 'object' && options !== null) {
+        opts = { ...options, passive: true };
+      } else {
+        opts = { passive: true };
       }
-      return originalAddEventListener.call(this, type, listener, options);
-    };
+      return listen(this, type, listener, opts);
+    }
+    return listen(this, type, listener, options);
   }
 
-  // --- Script deferral ---
-  // Intercepts parser-inserted scripts and replaces them with deferred versions.
+  const passiveListeners = {
+    install() {
+      passiveActive = true;
+      EventTarget.prototype.addEventListener = passiveAddEventListener;
+    },
+    restore() {
+      passiveActive = false;
+      if (EventTarget.prototype.addEventListener === passiveAddEventListener) {
+        EventTarget.prototype.addEventListener = originalAddEventListener;
+      }
+    }
+  };
+
+  // --- Held scripts ---
+  // A script is held by switching its type before the browser prepares it,
+  // and released by swapping in a fresh copy. Parser-inserted scripts are
+  // caught by the observer below before the parser reaches their end tag;
+  // scripts created by page code are caught when their src is set.
   // This MUST run in the page context (not content script isolated world) because
   // elements created by content scripts are evaluated under the extension's CSP,
   // which blocks all non-extension script URLs. In the page context,
   // createElement('script') produces elements under the page's own CSP.
 
-  if (injectedSettings.deferScripts) {
-    function deferScript(script) {
-      if (!script.src) return;
-      if (script.hasAttribute('async') || script.hasAttribute('defer') || script.type === 'module') return;
-      if (script.hasAttribute('nomodule')) return;
-      // Skip scripts with nonce/integrity — cloned elements can't inherit CSP nonce allowances
-      if (script.nonce || script.hasAttribute('integrity')) return;
-      // Only defer same-origin scripts to stay within page CSP 'self' scope
-      try {
-        if (new URL(script.src, location.href).origin !== location.origin) return;
-      } catch (e) { return; }
-
-      const deferred = document.createElement('script');
-      deferred.src = script.src;
-      deferred.defer = true;
-      for (const attr of script.attributes) {
-        if (attr.name !== 'src' && attr.name !== 'defer' && attr.name !== 'type') {
-          deferred.setAttribute(attr.name, attr.value);
-        }
-      }
-      if (script.parentNode) {
-        script.parentNode.replaceChild(deferred, script);
+  const BLOCKED_TYPE = 'javascript/blocked';
+  // Copies being released, which must not be held again
+  const releasedCopies = new WeakSet();
+  // Queues currently being released
+  const releasingQueues = new Set();
+
+  function recreate(script, type) {
+    const copy = document.createElement('script');
+    releasedCopies.add(copy);
+    for (const attr of script.attributes) {
+      if (attr.name !== 'type') originalSetAttribute.call(copy, attr.name, attr.value);
+    }
+    if (type !== null) originalSetAttribute.call(copy, 'type', type);
+    if (!script.src) copy.text = script.text;
+    return copy;
+  }
+
+  // Runs each held { script, type } in order; an external script finishes
+  // (or fails) before the next one is inserted. Load and error are forwarded
+  // to the original element, where page code attached its handlers.
+  async function releaseQueue(queue, onRelease) {
+    if (releasingQueues.has(queue)) return;
+    releasingQueues.add(queue);
+    while (queue.length > 0) {
+      const entry = queue.shift();
+      const { script, type } = entry;
+      if (onRelease) onRelease(entry);
+      // Not inserted (yet): unblock it so it runs normally if it ever is
+      if (!script.parentNode) {
+        if (type === null) script.removeAttribute('type');
+        else originalSetAttribute.call(script, 'type', type);
+        continue;
       }
+      const copy = recreate(script, type);
+      const done = copy.src && new Promise((resolve) => {
+        for (const name of ['load', 'error']) {
+          listen(copy, name, () => {
+            dispatch(script, new Event(name));
+            resolve();
+          });
+        }
+      });
+      script.parentNode.replaceChild(copy, script);
+      if (done) await done;
     }
+    releasingQueues.delete(queue);
+  }
 
-    const deferObserver = new MutationObserver((mutations) => {
-      for (const mutation of mutations) {
-        for (const node of mutation.addedNodes) {
-          if (node.nodeType !== Node.ELEMENT_NODE) continue;
-          if (node.tagName === 'SCRIPT') deferScript(node);
-          if (node.querySelectorAll) {
-            node.querySelectorAll('script').forEach(deferScript);
-          }
+  let deferActive = false;
+  let delayActive = false;
+
+  // Third-party delay wins: those scripts wait longer than deferred ones
+  function interceptScript(script) {
+    if (script.type === BLOCKED_TYPE || releasedCopies.has(script)) return;
+    if (delayActive && delayScript(script, script.src)) return;
+    if (deferActive) deferScript(script);
+  }
+
+  function handleScriptMutations(mutations) {
+    for (const mutation of mutations) {
+      for (const node of mutation.addedNodes) {
+        if (node.nodeType !== Node.ELEMENT_NODE) continue;
+        if (node.tagName === 'SCRIPT') interceptScript(node);
+        if (node.querySelectorAll) {
+          node.querySelectorAll('script').forEach(interceptScript);
         }
       }
+    }
+  }
+
+  const scriptObserver = new MutationObserver(handleScriptMutations);
+  let observingScripts = false;
+
+  // Only the parser needs watching, so stop once parsing has finished
+  function watchScripts() {
+    const wanted = (deferActive || delayActive) && document.readyState === 'loading';
+    if (wanted && !observingScripts) {
+      scriptObserver.observe(document.documentElement || document, { childList: true, subtree: true });
+    } else if (!wanted && observingScripts) {
+      scriptObserver.disconnect();
+    }
+    observingScripts = wanted;
+  }
+
+  // --- Script deferral ---
+  // Holds parser-blocking scripts back until parsing has finished, then runs
+  // them one at a time in their original order. Once one external script is
+  // held, every later script the browser would run in document order (inline,
+  // defer and module ones included) is held too, so code that depends on a
+  // deferred library still runs after it. Scripts with a nonce or integrity
+  // are never held. A later script that can't be held would run ahead of the
+  // queue; the page is then given up on (see abandonDeferral).
+
+  const CLASSIC_TYPES = new Set([
+    'text/javascript', 'application/javascript', 'text/ecmascript',
+    'application/ecmascript', 'application/x-javascript'
+  ]);
+  // Hosts (and their subdomains) whose scripts may be deferred besides the page's own
+  let deferScriptHosts = [];
+  // { script, type } in document order; type is the original type attribute
+  const deferredScripts = [];
+  // Set when a script that can't be held follows held ones
+  let deferAbandoned = false;
+
+  function scriptType(script) {
+    const type = (script.getAttribute('type') || '').trim().toLowerCase();
+    if (!type || CLASSIC_TYPES.has(type)) return 'classic';
+    return type === 'module' ? 'module' : null;
+  }
+
+  // Scripts the browser runs in document order: parser-blocking ones, then
+  // defer and module scripts once parsing ends. Async scripts, nomodule
+  // fallbacks and data blocks (JSON, templates) don't take part.
+  function isOrdered(script) {
+    // Script-inserted scripts are async unless they opt out
+    if (script.async || script.hasAttribute('nomodule')) return false;
+    return scriptType(script) !== null;
+  }
+
+  // The nonce attribute is blanked once parsed, so the property is checked too
+  function isPinned(script) {
+    return !!(script.nonce || script.hasAttribute('nonce') || script.hasAttribute('integrity'));
+  }
+
+  // Whether a copy of the script would run exactly like the original
+  function canRecreate(script) {
+    // Scripts vouched for by a nonce or integrity hash are never re-created
+    if (isPinned(script)) return false;
+    // Only external modules fire load, which the queue waits for
+    if (scriptType(script) === 'module') return !!script.src;
+    // document.write() after parsing would replace the whole page
+    if (!script.src && script.text.includes('document.write')) return false;
+    return true;
+  }
+
+  function isDeferrableSource(script) {
+    if (!script.src) return false;
+    let url;
+    try {
+      url = new URL(script.src, location.href);
+    } catch (e) {
+      return false;
+    }
+    if (url.origin === location.origin) return true;
+    return deferScriptHosts.some(host => url.hostname === host || url.hostname.endsWith(`.${host}`));
+  }
+
+  // The script can't wait for the ones held before it, so the order is
+  // already lost: run what is held now, hold nothing more on this page, and
+  // have the content script remember the page so later loads aren't held
+  function abandonDeferral() {
+    deferAbandoned = true;
+    releaseDeferredScripts();
+    postToContent({ type: 'deferConflict' });
+  }
+
+  function deferScript(script) {
+    if (deferAbandoned || !isOrdered(script)) return;
+    if (deferredScripts.length === 0) {
+      // Only an eligible parser-blocking external script starts the queue;
+      // defer and module scripts already wait for parsing
+      if (script.defer || scriptType(script) !== 'classic' || isPinned(script) || !isDeferrableSource(script)) return;
+    } else if (!canRecreate(script)) {
+      abandonDeferral();
+      return;
+    }
+    deferredScripts.push({ script, type: script.getAttribute('type') });
+    script.type = BLOCKED_TYPE;
+    stats.scriptsDeferred++;
+    postStats();
+  }
+
+  // Held external scripts usually finish after DOMContentLoaded, which real
+  // defer scripts run before. Listeners they add for it once it has fired
+  // are called after the queue, as if it had fired then.
+  let domContentLoadedFired = document.readyState !== 'loading';
+  let deferredRelease = null;
+
+  function callListener(target, listener, event) {
+    try {
+      if (typeof listener === 'function') listener.call(target, event);
+      else listener.handleEvent(event);
+    } catch (error) {
+      window.reportError?.(error);
+    }
+  }
+
+  function releaseDeferredScripts() {
+    if (deferredRelease) return deferredRelease;
+    if (deferredScripts.length === 0) return Promise.resolve();
+    const late = [];
+    function addEventListener(type, listener, options) {
+      if (type === 'DOMContentLoaded' && domContentLoadedFired && listener) {
+        late.push({ target: this, listener });
+        return;
+      }
+      return EventTarget.prototype.addEventListener.call(this, type, listener, options);
+    }
+    // Own properties shadow the prototype (and any patch on it) for the
+    // two targets DOMContentLoaded reaches, only while the queue runs
+    for (const target of [document, window]) {
+      Object.defineProperty(target, 'addEventListener', { value: addEventListener, configurable: true, writable: true });
+    }
+    deferredRelease = releaseQueue(deferredScripts).finally(() => {
+      delete document.addEventListener;
+      delete window.addEventListener;
+      deferredRelease = null;
+      for (const { target, listener } of late) {
+        callListener(target, listener, new Event('DOMContentLoaded', { bubbles: true }));
+      }
     });
+    return deferredRelease;
+  }
+
+  if (document.readyState === 'loading') {
+    listen(document, 'DOMContentLoaded', () => {
+      domContentLoadedFired = true;
+    }, { once: true });
+    // Where the browser runs defer scripts: readyState has just turned
+    // 'interactive' and DOMContentLoaded hasn't fired yet
+    listen(document, 'readystatechange', function onInteractive() {
+      if (document.readyState !== 'interactive') return;
+      unlisten(document, 'readystatechange', onInteractive);
+      // Scripts the parser added since the last observer callback
+      if (observingScripts) handleScriptMutations(scriptObserver.takeRecords());
+      watchScripts();
+      releaseDeferredScripts();
+    });
+  }
+
+  const deferScripts = {
+    install() {
+      deferActive = true;
+      watchScripts();
+    },
+    restore() {
+      deferActive = false;
+      watchScripts();
+      // Run whatever is still held rather than dropping it
+      releaseDeferredScripts();
+    }
+  };
+
+  // --- Third-party delay ---
+  // Holds scripts from known chat, analytics, heatmap and A/B testing hosts
+  // (plus user patterns) until the first scroll, click, keypress or touch, or
+  // until delayTimeout has passed after load. They then run in the order they
+  // were held; scripts added after that run normally.
+
+  const THIRD_PARTY_PATTERNS = [
+    'googletagmanager.com', 'google-analytics.com', 'connect.facebook.net',
+    'hotjar.com', 'clarity.ms', 'fullstory.com', 'cdn.heapanalytics.com',
+    'cdn.segment.com', 'cdn.mxpnl.com', 'js.hs-scripts.com', 'js.hs-analytics.net',
+    'snap.licdn.com', 'static.ads-twitter.com', 'bat.bing.com',
+    'widget.intercom.io', 'js.intercomcdn.com', 'js.driftt.com', 'embed.tawk.to',
+    'client.crisp.chat', 'static.zdassets.com', 'js.usemessages.com',
+    'cdn.optimizely.com', 'dev.visualwebsiteoptimizer.com', 'cdn.abtasty.com'
+  ];
+  const RELEASE_EVENTS = ['scroll', 'click', 'keydown', 'touchstart'];
+  let delayScriptPatterns = [];
+  let delayTimeout = 10000;
+  let delayTimer = null;
+  // Once released, later third-party scripts are left alone
+  let delayReleased = false;
+  const delayedScripts = [];
+  // script -> queue entry, so a type set after src stays blocked
+  const delayedEntries = new WeakMap();
+
+  function isThirdPartyScript(src) {
+    let url;
+    try {
+      url = new URL(src, location.href);
+    } catch (e) {
+      return false;
+    }
+    if (url.origin === location.origin) return false;
+    const target = url.hostname + url.pathname;
+    return THIRD_PARTY_PATTERNS.some(pattern => target.includes(pattern)) ||
+      delayScriptPatterns.some(pattern => target.includes(pattern));
+  }
+
+  function delayScript(script, src) {
+    if (delayReleased || !src || releasedCopies.has(script) || delayedEntries.has(script)) return false;
+    // Scripts pinned by a nonce or integrity are left alone; async and module scripts are fine here
+    if (script.nonce || script.hasAttribute('integrity') || script.hasAttribute('nomodule')) return false;
+    if (!isThirdPartyScript(src)) return false;
+    const entry = { script, type: script.getAttribute('type'), url: new URL(src, location.href).href };
+    delayedScripts.push(entry);
+    delayedEntries.set(script, entry);
+    originalSetAttribute.call(script, 'type', BLOCKED_TYPE);
+    stats.scriptsDelayed++;
+    stats.delayedScripts.push({ url: entry.url, released: false });
+    postStats();
+    return true;
+  }
+
+  function markReleased(entry) {
+    const reported = stats.delayedScripts.find(item => item.url === entry.url && !item.released);
+    if (reported) reported.released = true;
+  }
+
+  function releaseDelayedScripts() {
+    if (delayReleased) return;
+    delayReleased = true;
+    stopDelayTriggers();
+    releaseQueue(delayedScripts, markReleased).then(postStats);
+  }
+
+  function startDelayTimer() {
+    if (!delayActive || delayReleased) return;
+    originalClearTimeout.call(window, delayTimer);
+    delayTimer = originalSetTimeout.call(window, releaseDelayedScripts, delayTimeout);
+  }
+
+  function stopDelayTriggers() {
+    for (const name of RELEASE_EVENTS) {
+      unlisten(window, name, releaseDelayedScripts, { capture: true });
+    }
+    unlisten(window, 'load', startDelayTimer);
+    originalClearTimeout.call(window, delayTimer);
+  }
+
+  // Catches scripts created by page code before they are inserted
+  const srcDescriptor = Object.getOwnPropertyDescriptor(HTMLScriptElement.prototype, 'src');
+  const typeDescriptor = Object.getOwnPropertyDescriptor(HTMLScriptElement.prototype, 'type');
+  const patchedScriptSrc = {
+    ...srcDescriptor,
+    set(value) {
+      delayScript(this, String(value));
+      srcDescriptor.set.call(this, value);
+    }
+  };
+
+  const patchedScriptType = {
+    ...typeDescriptor,
+    set(value) {
+      const entry = delayedEntries.get(this);
+      if (entry && this.type === BLOCKED_TYPE) {
+        entry.type = String(value);
+        return;
+      }
+      typeDescriptor.set.call(this, value);
+    }
+  };
+
+  function patchedSetAttribute(name, value) {
+    if (this instanceof HTMLScriptElement) {
+      const attr = String(name).toLowerCase();
+      if (attr === 'src') delayScript(this, String(value));
+      const entry = delayedEntries.get(this);
+      if (attr === 'type' && entry && this.type === BLOCKED_TYPE) {
+        entry.type = String(value);
+        return;
+      }
+    }
+    return originalSetAttribute.call(this, name, value);
+  }
+
+  const delayThirdParty = {
+    install() {
+      delayActive = true;
+      watchScripts();
+      Object.defineProperty(HTMLScriptElement.prototype, 'src', patchedScriptSrc);
+      Object.defineProperty(HTMLScriptElement.prototype, 'type', patchedScriptType);
+      Element.prototype.setAttribute = patchedSetAttribute;
+      if (delayReleased) return;
+      for (const name of RELEASE_EVENTS) {
+        listen(window, name, releaseDelayedScripts, { capture: true, passive: true });
+      }
+      if (document.readyState === 'complete') {
+        startDelayTimer();
+      } else {
+        listen(window, 'load', startDelayTimer);
+      }
+    },
+    restore() {
+      delayActive = false;
+      watchScripts();
+      Object.defineProperty(HTMLScriptElement.prototype, 'src', srcDescriptor);
+      Object.defineProperty(HTMLScriptElement.prototype, 'type', typeDescriptor);
+      if (Element.prototype.setAttribute === patchedSetAttribute) {
+        Element.prototype.setAttribute = originalSetAttribute;
+      }
+      releaseDelayedScripts();
+    }
+  };
+
+  // --- Autoplay gate ---
+  // Players that start media from script get a rejected play() unless the
+  // user is interacting with the page right now (transient activation), or
+  // the media is muted and muted autoplay is allowed. Media the user has
+  // started once (from script or its own controls) plays freely after that,
+  // so resuming after a pause, a seek or a buffering stall isn't blocked.
+
+  let allowMutedAutoplay = true;
+  const userStarted = new WeakSet();
+
+  function gatedPlay(...args) {
+    if (navigator.userActivation?.isActive) userStarted.add(this);
+    if (userStarted.has(this) || (allowMutedAutoplay && this.muted)) {
+      return originalPlay.apply(this, args);
+    }
+    stats.autoplayBlocked++;
+    postStats();
+    return Promise.reject(new DOMException('play() was blocked until the user interacts with the page', 'NotAllowedError'));
+  }
+
+  // play doesn't bubble, so this listens in the capture phase
+  function onPlay(event) {
+    if (navigator.userActivation?.isActive && event.target instanceof HTMLMediaElement) {
+      userStarted.add(event.target);
+    }
+  }
+
+  const disableAutoplay = {
+    install() {
+      HTMLMediaElement.prototype.play = gatedPlay;
+      listen(window, 'play', onPlay, true);
+    },
+    restore() {
+      if (HTMLMediaElement.prototype.play === gatedPlay) {
+        HTMLMediaElement.prototype.play = originalPlay;
+      }
+      unlisten(window, 'play', onPlay, true);
+    }
+  };
+
+  // --- Shadow root discovery ---
+  // The content script finds hosts as they are inserted, but can't see a
+  // root attached to an element already in the document. Announce those on
+  // the host so the event's composed path leads back to it.
+
+  const originalAttachShadow = Element.prototype.attachShadow;
+
+  function patchedAttachShadow(init) {
+    const root = originalAttachShadow.call(this, init);
+    if (root.mode === 'open' && this.isConnected) {
+      postToContent({ type: 'shadowRoot' }, this);
+    }
+    return root;
+  }
 
-    const target = document.documentElement || document;
-    deferObserver.observe(target, { childList: true, subtree: true });
+  const optimizeShadowDOM = {
+    install() {
+      Element.prototype.attachShadow = patchedAttachShadow;
+    },
+    restore() {
+      if (Element.prototype.attachShadow === patchedAttachShadow) {
+        Element.prototype.attachShadow = originalAttachShadow;
+      }
+    }
+  };
+
+  // --- Patch management ---
+
+  const patches = {
+    throttleTimers, backgroundThrottling, passiveListeners, deferScripts, delayThirdParty, disableAutoplay, optimizeShadowDOM
+  };
+  const installed = new Set();
+
+  function configure(next) {
+    if (Number.isFinite(next.minInterval)) minInterval = next.minInterval;
+    if (Number.isFinite(next.minTimeout)) minTimeout = next.minTimeout;
+    if (Number.isFinite(next.hiddenMinInterval)) hiddenMinInterval = next.hiddenMinInterval;
+    if (Number.isFinite(next.hiddenTimeoutBucket)) hiddenTimeoutBucket = next.hiddenTimeoutBucket;
+    if (Array.isArray(next.deferScriptHosts)) deferScriptHosts = next.deferScriptHosts;
+    if (typeof next.mutedAutoplay === 'string') allowMutedAutoplay = next.mutedAutoplay === 'allow';
+    if (Array.isArray(next.delayScriptPatterns)) delayScriptPatterns = next.delayScriptPatterns;
+    if (Number.isFinite(next.delayTimeout) && next.delayTimeout !== delayTimeout) {
+      delayTimeout = next.delayTimeout;
+      // Restart a running countdown with the new value
+      if (delayTimer !== null) startDelayTimer();
+    }
+
+    for (const [key, patch] of Object.entries(patches)) {
+      if (next[key] && !installed.has(key)) {
+        patch.install();
+        installed.add(key);
+      } else if (!next[key] && installed.has(key)) {
+        patch.restore();
+        installed.delete(key);
+      }
+    }
+  }
+
+  // --- Control channel ---
+  // CustomEvents on document whose names carry the per-page token from the
+  // content script. Details are JSON strings so they cross worlds intact.
+
+  // Dispatched on document unless a target inside it is given
+  function postToContent(message, target = document) {
+    if (!channelToken) return;
+    dispatch(target, new NativeCustomEvent(`fc-to-content-${channelToken}`, {
+      detail: stringify(message),
+      bubbles: true,
+      composed: true
+    }));
   }
+
+  let statsQueued = false;
+  function postStats() {
+    if (statsQueued) return;
+    statsQueued = true;
+    originalSetTimeout.call(window, () => {
+      statsQueued = false;
+      postToContent({ type: 'stats', stats });
+    }, 250);
+  }
+
+  function onPageMessage(event) {
+    let message;
+    try {
+      message = parse(getDetail(event));
+    } catch (e) {
+      return;
+    }
+    if (message.type === 'configure') configure(message.settings);
+    if (message.type === 'getStats') postToContent({ type: 'stats', stats });
+  }
+
+  // --- Handshake ---
+  // content.js owns the token and hands it over on fixed-name events. Both
+  // scripts run at document_start before any page script, and whichever
+  // runs second completes the exchange synchronously. Neither side listens
+  // on the fixed names afterwards, so the page can't ask for the token or
+  // slip in its own. Patches stay off until content.js configures them.
+
+  const HELLO_EVENT = 'fasterChromium:hello';
+  const TOKEN_EVENT = 'fasterChromium:token';
+
+  function onToken(event) {
+    unlisten(document, TOKEN_EVENT, onToken, true);
+    const token = getDetail(event);
+    if (typeof token !== 'string') return;
+    channelToken = token;
+    listen(document, `fc-to-page-${channelToken}`, onPageMessage);
+    postToContent({ type: 'ready' });
+  }
+
+  listen(document, TOKEN_EVENT, onToken, true);
+  dispatch(document, new NativeCustomEvent(HELLO_EVENT));
 })();
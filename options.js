@@ -0,0 +1,258 @@
+// Faster Chromium - Options Script
+// Advanced settings page for the thresholds used by each optimization
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const { SECTIONS, TUNING } = FasterChromiumRegistry;
+
+  // Tuning fields grouped under the popup's section titles
+  const GROUPS = SECTIONS
+    .map(section => ({ section: section.title, fields: TUNING.filter(field => field.section === section.id) }))
+    .filter(group => group.fields.length > 0);
+  const FIELDS = GROUPS.flatMap(group => group.fields);
+
+  const container = document.getElementById('tuningSections');
+  const saveBtn = document.getElementById('saveBtn');
+  const defaultsBtn = document.getElementById('defaultsBtn');
+  const status = document.getElementById('status');
+  const exportBtn = document.getElementById('exportBtn');
+  const importBtn = document.getElementById('importBtn');
+  const importFile = document.getElementById('importFile');
+  const backupStatus = document.getElementById('backupStatus');
+  const backupErrors = document.getElementById('backupErrors');
+
+  let currentSettings = {};
+
+  async function loadSettings() {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ type: 'GET_SETTINGS' }, (response) => {
+        if (chrome.runtime.lastError) {
+          console.log('Error loading settings:', chrome.runtime.lastError);
+        }
+        if (response && response.globalSettings) {
+          currentSettings = response.globalSettings;
+        }
+        resolve(currentSettings);
+      });
+    });
+  }
+
+  async function saveSettings() {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ type: 'SAVE_SETTINGS', settings: currentSettings }, (response) => {
+        if (chrome.runtime.lastError) {
+          console.log('Error saving settings:', chrome.runtime.lastError);
+        }
+        resolve(response);
+      });
+    });
+  }
+
+  // Returns an error message, or null when the value is acceptable
+  function validate(field, raw) {
+    if (field.multiple) return null;
+    if (field.list) {
+      const invalid = raw.find(entry => !field.pattern.test(entry));
+      return invalid ? `"${invalid}" is not a valid entry` : null;
+    }
+    if (field.choices) {
+      return field.choices.some(([value]) => value === raw) ? null : 'Pick one of the options';
+    }
+    if (raw.trim() === '') return 'Required';
+    const value = Number(raw);
+    if (!Number.isFinite(value)) return 'Must be a number';
+    if (field.step >= 1 && !Number.isInteger(value)) return 'Must be a whole number';
+    if (value < field.min || value > field.max) return `Must be between ${field.min} and ${field.max}`;
+    return null;
+  }
+
+  function renderInput(field) {
+    if (field.multiple) return '<div class="field-checks"></div>';
+    if (field.list) return '<textarea rows="3" spellcheck="false"></textarea>';
+    return field.choices ? '<select></select>' : '<input type="number">';
+  }
+
+  // Current value of a field's input: a number, a choice or a list of entries
+  function readField(field) {
+    const row = container.querySelector(`[data-key="${field.key}"]`);
+    if (field.multiple) {
+      return [...row.querySelectorAll('input:checked')].map(input => input.value);
+    }
+    if (field.list) {
+      return row.querySelector('textarea').value.split('\n')
+        .map(entry => entry.trim().toLowerCase())
+        .filter(Boolean);
+    }
+    return row.querySelector('input, select').value;
+  }
+
+  function writeField(field, value) {
+    const row = container.querySelector(`[data-key="${field.key}"]`);
+    if (field.multiple) {
+      for (const input of row.querySelectorAll('input')) {
+        input.checked = value.includes(input.value);
+      }
+      return;
+    }
+    if (field.list) {
+      row.querySelector('textarea').value = value.join('\n');
+      return;
+    }
+    row.querySelector('input, select').value = value;
+  }
+
+  function render() {
+    container.textContent = '';
+    for (const group of GROUPS) {
+      const section = document.createElement('section');
+      section.className = 'section';
+      section.innerHTML = '<div class="section-title"></div><div class="fields"></div>';
+      section.querySelector('.section-title').textContent = group.section;
+      container.appendChild(section);
+
+      for (const field of group.fields) {
+        const row = document.createElement('div');
+        row.className = 'field';
+        row.dataset.key = field.key;
+        row.innerHTML = `
+          <div>
+            <div class="field-name"></div>
+            <div class="field-desc"></div>
+            <div class="field-error" hidden></div>
+          </div>
+          <div class="field-input">
+            ${renderInput(field)}
+            <span class="field-unit"></span>
+          </div>
+        `;
+        row.querySelector('.field-name').textContent = field.label;
+        row.querySelector('.field-unit').textContent = field.unit || '';
+
+        const input = row.querySelector('input, select, textarea, .field-checks');
+        if (field.multiple) {
+          row.querySelector('.field-desc').textContent = field.description;
+          for (const [value, label] of field.choices) {
+            const option = document.createElement('label');
+            option.innerHTML = '<input type="checkbox"> <span></span>';
+            option.querySelector('input').value = value;
+            option.querySelector('span').textContent = label;
+            input.appendChild(option);
+          }
+        } else if (field.list) {
+          row.querySelector('.field-desc').textContent = field.description;
+          input.placeholder = 'cdn.example.com';
+        } else if (field.choices) {
+          row.querySelector('.field-desc').textContent = field.description;
+          for (const [value, label] of field.choices) {
+            input.add(new Option(label, value));
+          }
+        } else {
+          row.querySelector('.field-desc').textContent = `${field.description} (${field.min}–${field.max}, default ${field.default})`;
+          input.min = field.min;
+          input.max = field.max;
+          input.step = field.step;
+        }
+        input.addEventListener('input', () => {
+          status.textContent = '';
+          checkFields();
+        });
+
+        section.querySelector('.fields').appendChild(row);
+        writeField(field, currentSettings[field.key] ?? field.default);
+      }
+    }
+  }
+
+  function checkFields() {
+    let valid = true;
+    for (const field of FIELDS) {
+      const row = container.querySelector(`[data-key="${field.key}"]`);
+      const error = validate(field, readField(field));
+      row.classList.toggle('invalid', !!error);
+      row.querySelector('.field-error').hidden = !error;
+      row.querySelector('.field-error').textContent = error || '';
+      if (error) valid = false;
+    }
+    saveBtn.disabled = !valid;
+    return valid;
+  }
+
+  saveBtn.addEventListener('click', async () => {
+    if (!checkFields()) return;
+    // Pick up toggles changed in the popup since this page was opened
+    await loadSettings();
+    for (const field of FIELDS) {
+      const value = readField(field);
+      currentSettings[field.key] = field.choices || field.list ? value : Number(value);
+    }
+    await saveSettings();
+    status.textContent = 'Saved.';
+  });
+
+  defaultsBtn.addEventListener('click', () => {
+    for (const field of FIELDS) {
+      writeField(field, field.default);
+    }
+    checkFields();
+    status.textContent = 'Defaults restored. Save to apply.';
+  });
+
+  function showBackupErrors(errors) {
+    backupErrors.textContent = '';
+    for (const error of errors) {
+      const item = document.createElement('li');
+      item.textContent = error;
+      backupErrors.appendChild(item);
+    }
+    backupErrors.hidden = errors.length === 0;
+  }
+
+  exportBtn.addEventListener('click', () => {
+    chrome.runtime.sendMessage({ type: 'EXPORT_SETTINGS' }, (response) => {
+      if (chrome.runtime.lastError || !response) return;
+      const blob = new Blob([JSON.stringify(response.data, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `faster-chromium-settings-${new Date().toISOString().slice(0, 10)}.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+      showBackupErrors([]);
+      backupStatus.textContent = 'Exported.';
+    });
+  });
+
+  importBtn.addEventListener('click', () => importFile.click());
+
+  importFile.addEventListener('change', async () => {
+    const file = importFile.files[0];
+    importFile.value = '';
+    if (!file) return;
+
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch (e) {
+      backupStatus.textContent = '';
+      showBackupErrors(['File is not valid JSON']);
+      return;
+    }
+
+    chrome.runtime.sendMessage({ type: 'IMPORT_SETTINGS', data }, async (response) => {
+      if (chrome.runtime.lastError || !response) return;
+      if (!response.success) {
+        backupStatus.textContent = 'Import rejected:';
+        showBackupErrors(response.errors);
+        return;
+      }
+      showBackupErrors([]);
+      backupStatus.textContent = 'Imported.';
+      await loadSettings();
+      render();
+      checkFields();
+    });
+  });
+
+  await loadSettings();
+  render();
+  checkFields();
+});
@@ -0,0 +1,187 @@
+// Faster Chromium - DevTools Panel Script
+// Lists every change recorded in the inspected page's mutation journal
+
+document.addEventListener('DOMContentLoaded', () => {
+  const tabId = chrome.devtools.inspectedWindow.tabId;
+
+  // Finds the element content.js marked with data-fc-reveal (looking inside
+  // open shadow roots too), unmarks it and selects it in the Elements panel
+  const REVEAL_SCRIPT = `(function() {
+    function find(root) {
+      const el = root.querySelector('[data-fc-reveal]');
+      if (el) return el;
+      for (const host of root.querySelectorAll('*')) {
+        const found = host.shadowRoot && find(host.shadowRoot);
+        if (found) return found;
+      }
+      return null;
+    }
+    const el = find(document);
+    if (el) {
+      el.removeAttribute('data-fc-reveal');
+      inspect(el);
+    }
+    return !!el;
+  })()`;
+
+  // Long values (e.g. inserted markup) are cut short; the full text is in the tooltip
+  const MAX_VALUE_LENGTH = 120;
+
+  const refreshBtn = document.getElementById('refreshBtn');
+  const filterInput = document.getElementById('filterInput');
+  const status = document.getElementById('status');
+  const journalTable = document.getElementById('journalTable');
+  const journalEntries = document.getElementById('journalEntries');
+  const emptyState = document.getElementById('emptyState');
+  const exemptionsSection = document.getElementById('exemptionsSection');
+  const exemptionsOrigin = document.getElementById('exemptionsOrigin');
+  const exemptionsList = document.getElementById('exemptionsList');
+
+  let entries = [];
+
+  function send(message) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ ...message, tabId }, (response) => {
+        resolve(chrome.runtime.lastError ? null : response);
+      });
+    });
+  }
+
+  function formatTime(time) {
+    const date = new Date(time);
+    return `${date.toLocaleTimeString([], { hour12: false })}.${String(date.getMilliseconds()).padStart(3, '0')}`;
+  }
+
+  function formatValue(value) {
+    if (value == null) return '(none)';
+    return value.length > MAX_VALUE_LENGTH ? `${value.slice(0, MAX_VALUE_LENGTH)}…` : value;
+  }
+
+  function renderChange(entry) {
+    const cell = document.createElement('td');
+    cell.className = 'change';
+    cell.textContent = `${entry.name}: `;
+    // Listeners have no value to compare
+    if (entry.name.startsWith('on')) {
+      cell.textContent = entry.name;
+      return cell;
+    }
+
+    const oldValue = document.createElement('span');
+    oldValue.className = 'old';
+    oldValue.textContent = formatValue(entry.oldValue);
+    oldValue.title = entry.oldValue ?? '';
+    const newValue = document.createElement('span');
+    newValue.className = 'new';
+    newValue.textContent = formatValue(entry.newValue);
+    newValue.title = entry.newValue ?? '';
+    cell.append(oldValue, ' → ', newValue);
+    return cell;
+  }
+
+  function renderEntry(entry) {
+    const row = document.createElement('tr');
+    if (entry.revealable) row.classList.add('revealable');
+
+    const time = document.createElement('td');
+    time.className = 'time';
+    time.textContent = formatTime(entry.time);
+    const feature = document.createElement('td');
+    feature.className = 'feature';
+    feature.textContent = entry.feature;
+    const target = document.createElement('td');
+    target.className = 'target';
+    target.textContent = entry.target;
+    if (entry.revealable) {
+      target.title = 'Reveal in Elements panel';
+      target.addEventListener('click', () => reveal(entry));
+    }
+
+    const actions = document.createElement('td');
+    if (entry.exemptable) {
+      const exemptBtn = document.createElement('button');
+      exemptBtn.className = 'btn';
+      exemptBtn.textContent = 'Exempt & Reload';
+      exemptBtn.title = 'Never optimize this element on this site';
+      exemptBtn.addEventListener('click', () => exempt(entry));
+      actions.appendChild(exemptBtn);
+    }
+
+    row.append(time, feature, target, renderChange(entry), actions);
+    return row;
+  }
+
+  function render() {
+    const filter = filterInput.value.trim().toLowerCase();
+    const shown = entries.filter(entry =>
+      !filter || entry.feature.toLowerCase().includes(filter) || entry.target.toLowerCase().includes(filter)
+    );
+
+    journalEntries.textContent = '';
+    // Newest first
+    for (const entry of [...shown].reverse()) {
+      journalEntries.appendChild(renderEntry(entry));
+    }
+    journalTable.hidden = shown.length === 0;
+    emptyState.hidden = shown.length > 0;
+    emptyState.textContent = entries.length
+      ? 'No changes match the filter.'
+      : 'No optimizations have been applied to this page.';
+    status.textContent = `${entries.length} changes`;
+  }
+
+  function renderExemptions(origin, exemptions) {
+    exemptionsSection.hidden = exemptions.length === 0;
+    exemptionsOrigin.textContent = origin || '';
+    exemptionsList.textContent = '';
+    for (const selector of exemptions) {
+      const item = document.createElement('li');
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'btn';
+      removeBtn.textContent = 'Remove';
+      removeBtn.addEventListener('click', async () => {
+        status.textContent = 'Removing exemption and reloading…';
+        await send({ type: 'REMOVE_EXEMPTION', selector });
+      });
+      item.append(removeBtn, selector);
+      exemptionsList.appendChild(item);
+    }
+  }
+
+  async function load() {
+    const response = await send({ type: 'GET_JOURNAL' });
+    if (!response || !response.entries) {
+      entries = [];
+      render();
+      emptyState.textContent = 'Faster Chromium is not running on this page.';
+      status.textContent = '';
+      renderExemptions(response?.origin, response?.exemptions || []);
+      return;
+    }
+    entries = response.entries;
+    render();
+    renderExemptions(response.origin, response.exemptions);
+  }
+
+  async function reveal(entry) {
+    const response = await send({ type: 'REVEAL_ENTRY', id: entry.id });
+    if (!response?.found) {
+      status.textContent = 'Element is no longer in the page.';
+      return;
+    }
+    chrome.devtools.inspectedWindow.eval(REVEAL_SCRIPT);
+  }
+
+  async function exempt(entry) {
+    status.textContent = 'Exempting and reloading…';
+    const response = await send({ type: 'EXEMPT_ELEMENT', id: entry.id });
+    if (!response?.success) status.textContent = 'Could not exempt this element.';
+  }
+
+  refreshBtn.addEventListener('click', load);
+  filterInput.addEventListener('input', render);
+  // Give the content script a moment to apply features on the new page
+  chrome.devtools.network.onNavigated.addListener(() => setTimeout(load, 1000));
+
+  load();
+});
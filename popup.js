@@ -2,56 +2,151 @@
 // Handles UI interactions and settings management
 
 document.addEventListener('DOMContentLoaded', async () => {
-  const DEFAULT_SETTINGS = {
-    enabled: true,
-    disableAnimations: true,
-    lazyLoadImages: true,
-    disableAutoplay: true,
-    throttleTimers: true,
-    prefetchDNS: true,
-    preloadLCP: true,
-    prefetchLinks: false,
-    optimizeImagePriority: true,
-    lazyLoadIframes: true,
-    reduceMediaPreload: true,
-    fontDisplaySwap: true,
-    contentVisibility: true,
-    stabilizeLayout: true,
-    nonBlockingCSS: true,
-    deferScripts: false,
-    passiveListeners: true
+  const { SECTIONS, RISK_LABELS, FEATURES, BUDGETS } = FasterChromiumRegistry;
+  const DEFAULT_SETTINGS = FasterChromiumRegistry.getDefaultSettings();
+  const FEATURE_KEYS = FEATURES.map(feature => feature.key);
+
+  // Core Web Vitals thresholds: [good upper bound, needs-improvement upper bound]
+  const VITAL_THRESHOLDS = {
+    lcp: [2500, 4000],
+    inp: [200, 500],
+    cls: [0.1, 0.25],
+    fcp: [1800, 3000],
+    ttfb: [800, 1800]
   };
 
-  const FEATURE_KEYS = [
-    'disableAnimations', 'lazyLoadImages', 'disableAutoplay', 'throttleTimers',
-    'prefetchDNS', 'preloadLCP', 'prefetchLinks', 'optimizeImagePriority',
-    'lazyLoadIframes', 'reduceMediaPreload', 'fontDisplaySwap', 'contentVisibility',
-    'stabilizeLayout', 'nonBlockingCSS', 'deferScripts', 'passiveListeners'
-  ];
+  const BENCHMARK_LABELS = {
+    lcp: 'LCP', fcp: 'FCP', ttfb: 'TTFB', cls: 'CLS', inp: 'INP', loadTime: 'Load'
+  };
 
   let currentSettings = { ...DEFAULT_SETTINGS };
+  // Per-site profile for the active tab: { disabled, overrides, exemptions, hosts, budgets }
+  let siteOrigin = null;
+  let siteProfile = { disabled: false, overrides: {}, budgets: {} };
+  let scope = 'global';
 
   const mainToggle = document.getElementById('mainToggle');
   const statusIndicator = document.getElementById('statusIndicator');
   const statusText = document.getElementById('statusText');
   const activeFeatures = document.getElementById('activeFeatures');
   const imagesOptimized = document.getElementById('imagesOptimized');
-  const estSaved = document.getElementById('estSaved');
+  const fontsSwapped = document.getElementById('fontsSwapped');
+  const vitalsScore = document.getElementById('vitalsScore');
   const refreshBtn = document.getElementById('refreshBtn');
   const resetBtn = document.getElementById('resetBtn');
+  const framesSection = document.getElementById('framesSection');
+  const framesResults = document.getElementById('framesResults');
+  const delayedSection = document.getElementById('delayedSection');
+  const delayedCount = document.getElementById('delayedCount');
+  const delayedResults = document.getElementById('delayedResults');
+  const thirdPartySection = document.getElementById('thirdPartySection');
+  const thirdPartyCount = document.getElementById('thirdPartyCount');
+  const thirdPartyResults = document.getElementById('thirdPartyResults');
+  const budgetSection = document.getElementById('budgetSection');
+  const budgetStatus = document.getElementById('budgetStatus');
+  const budgetResults = document.getElementById('budgetResults');
+  const benchmarkBtn = document.getElementById('benchmarkBtn');
+  const benchmarkRuns = document.getElementById('benchmarkRuns');
+  const benchmarkStatus = document.getElementById('benchmarkStatus');
+  const benchmarkTable = document.getElementById('benchmarkTable');
+  const benchmarkResults = document.getElementById('benchmarkResults');
   const alertBanner = document.getElementById('alertBanner');
   const alertText = document.getElementById('alertText');
+  const scopeGlobal = document.getElementById('scopeGlobal');
+  const scopeSite = document.getElementById('scopeSite');
+  const scopeHost = document.getElementById('scopeHost');
+
+  // One section of toggles per registry section, in registry order
+  function renderFeatureSections() {
+    const container = document.getElementById('featureSections');
+    for (const section of SECTIONS) {
+      const element = document.createElement('section');
+      element.className = 'section';
+      element.dataset.section = section.id;
+      element.innerHTML = `
+        <div class="section-head">
+          <span class="section-title"></span>
+          <span class="section-tag"></span>
+        </div>
+        <div class="options"></div>
+      `;
+      element.querySelector('.section-title').textContent = section.title;
+      element.querySelector('.section-tag').textContent = section.tag;
+
+      for (const feature of FEATURES.filter(f => f.section === section.id)) {
+        const option = document.createElement('div');
+        option.className = 'option';
+        option.dataset.setting = feature.key;
+        // Icons are static markup from features.js
+        option.innerHTML = `
+          <div class="option-left">
+            <div class="option-icon">
+              <svg viewBox="0 0 24 24">${feature.icon}</svg>
+            </div>
+            <div class="option-text">
+              <div class="option-name"></div>
+              <div class="option-desc"></div>
+            </div>
+          </div>
+          <div class="toggle"></div>
+        `;
+        option.querySelector('.option-name').textContent = feature.label;
+        option.querySelector('.option-desc').textContent = feature.description;
+        const risk = RISK_LABELS[feature.risk];
+        if (risk) {
+          const label = document.createElement('span');
+          label.className = 'option-risk';
+          label.textContent = risk;
+          option.querySelector('.option-name').appendChild(label);
+        }
+        element.querySelector('.options').appendChild(option);
+      }
+      container.appendChild(element);
+    }
+  }
+
+  renderFeatureSections();
+
+  // One row per budget: this load's value and an input for the site's budget
+  function renderBudgetRows() {
+    for (const budget of BUDGETS) {
+      const row = document.createElement('tr');
+      row.dataset.budget = budget.key;
+      row.innerHTML = '<td></td><td class="budget-actual">–</td><td><input type="number" class="budget-input"></td>';
+      row.cells[0].textContent = budget.unit ? `${budget.label} (${budget.unit})` : budget.label;
+      const input = row.querySelector('input');
+      input.min = budget.min;
+      input.max = budget.max;
+      input.step = budget.step;
+      input.placeholder = 'None';
+      input.addEventListener('change', () => saveBudget(budget, input));
+      budgetResults.appendChild(row);
+    }
+  }
+
+  renderBudgetRows();
+
+  function getActiveTab() {
+    return new Promise((resolve) => {
+      chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => resolve(tabs[0]));
+    });
+  }
 
   async function loadSettings() {
+    const tab = await getActiveTab();
     return new Promise((resolve) => {
-      chrome.runtime.sendMessage({ type: 'GET_SETTINGS' }, (response) => {
+      chrome.runtime.sendMessage({ type: 'GET_SETTINGS', url: tab?.url }, (response) => {
         if (chrome.runtime.lastError) {
           console.log('Error loading settings:', chrome.runtime.lastError);
           resolve(DEFAULT_SETTINGS);
           return;
         }
-        if (response && response.settings) {
-          currentSettings = { ...DEFAULT_SETTINGS, ...response.settings };
+        if (response && response.globalSettings) {
+          currentSettings = { ...DEFAULT_SETTINGS, ...response.globalSettings };
+        }
+        if (response && response.origin) {
+          siteOrigin = response.origin;
+          siteProfile = { disabled: false, overrides: {}, budgets: {}, ...response.siteProfile };
         }
         resolve(currentSettings);
       });
@@ -69,8 +164,48 @@ document.addEventListener('DOMContentLoaded', async () => {
     });
   }
 
+  async function saveSiteProfile() {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ type: 'SAVE_SITE_PROFILE', origin: siteOrigin, profile: siteProfile }, (response) => {
+        if (chrome.runtime.lastError) {
+          console.log('Error saving site profile:', chrome.runtime.lastError);
+        }
+        resolve(response);
+      });
+    });
+  }
+
+  function save() {
+    return scope === 'site' ? saveSiteProfile() : saveSettings();
+  }
+
+  // Mirrors resolveSettings() in background.js
+  function getEffectiveSettings() {
+    if (scope !== 'site') return currentSettings;
+    const effective = { ...currentSettings, ...siteProfile.overrides };
+    if (siteProfile.disabled) effective.enabled = false;
+    for (const [key, hosts] of Object.entries(siteProfile.hosts || {})) {
+      effective[key] = [...new Set([...effective[key], ...hosts])];
+    }
+    return effective;
+  }
+
   function updateUI() {
-    if (currentSettings.enabled) {
+    const effective = getEffectiveSettings();
+
+    budgetSection.hidden = !siteOrigin;
+    for (const budget of BUDGETS) {
+      const input = budgetResults.querySelector(`[data-budget="${budget.key}"] input`);
+      input.value = siteProfile.budgets?.[budget.key] ?? '';
+      input.classList.remove('invalid');
+    }
+
+    scopeGlobal.classList.toggle('active', scope === 'global');
+    scopeSite.classList.toggle('active', scope === 'site');
+    scopeSite.disabled = !siteOrigin;
+    scopeHost.textContent = siteOrigin ? new URL(siteOrigin).host : '';
+
+    if (effective.enabled) {
       mainToggle.classList.add('active');
       statusIndicator.classList.remove('inactive');
       statusText.textContent = 'Active';
@@ -78,7 +213,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     } else {
       mainToggle.classList.remove('active');
       statusIndicator.classList.add('inactive');
-      statusText.textContent = 'Disabled';
+      statusText.textContent = scope === 'site' && currentSettings.enabled ? 'Disabled on this site' : 'Disabled';
       document.body.classList.add('disabled');
     }
 
@@ -86,75 +221,355 @@ document.addEventListener('DOMContentLoaded', async () => {
       const settingName = option.dataset.setting;
       const toggle = option.querySelector('.toggle');
 
-      if (currentSettings[settingName]) {
+      if (effective[settingName]) {
         toggle.classList.add('checked');
       } else {
         toggle.classList.remove('checked');
       }
+      option.classList.toggle('overridden', scope === 'site' && settingName in siteProfile.overrides);
+    });
+  }
+
+  function rateVital(name, value) {
+    const [good, poor] = VITAL_THRESHOLDS[name];
+    if (value <= good) return 'good';
+    if (value <= poor) return 'needs-improvement';
+    return 'poor';
+  }
+
+  function formatVital(name, value) {
+    if (name === 'cls') return value.toFixed(2);
+    return value >= 1000 ? (value / 1000).toFixed(1) + 's' : Math.round(value) + 'ms';
+  }
+
+  function formatDelta(name, delta) {
+    const sign = delta > 0 ? '+' : delta < 0 ? '−' : '';
+    return sign + formatVital(name, Math.abs(delta));
+  }
+
+  function updateVitals(vitals) {
+    let measured = 0;
+    let good = 0;
+
+    document.querySelectorAll('.vital').forEach(cell => {
+      const name = cell.dataset.vital;
+      const value = vitals[name];
+      cell.classList.remove('good', 'needs-improvement', 'poor');
+      if (value == null) {
+        cell.querySelector('.vital-value').textContent = '–';
+        return;
+      }
+      const rating = rateVital(name, value);
+      cell.classList.add(rating);
+      cell.querySelector('.vital-value').textContent = formatVital(name, value);
+      measured++;
+      if (rating === 'good') good++;
+    });
+
+    vitalsScore.textContent = measured ? `${good}/${measured}` : '–';
+  }
+
+  // Per-frame breakdown, only worth showing when the page has subframes
+  function renderFrames(frames) {
+    framesSection.hidden = frames.length < 2;
+    framesResults.textContent = '';
+    for (const frame of frames) {
+      const row = document.createElement('tr');
+      const label = document.createElement('td');
+      label.className = 'frame-host';
+      try {
+        label.textContent = frame.frameId === 0 ? 'Top' : new URL(frame.url).host || frame.url;
+      } catch (e) {
+        label.textContent = frame.url;
+      }
+      label.title = frame.url;
+      row.appendChild(label);
+
+      const counts = frame.enabled
+        ? [frame.metrics.imagesOptimized, frame.metrics.iframesLazyLoaded, frame.metrics.mediaOptimized]
+        : ['off', 'off', 'off'];
+      for (const count of counts) {
+        const cell = document.createElement('td');
+        cell.textContent = count || 0;
+        if (!frame.enabled) cell.className = 'off';
+        row.appendChild(cell);
+      }
+      framesResults.appendChild(row);
+    }
+  }
+
+  // Third-party scripts held back until the first interaction
+  function renderDelayedScripts(scripts) {
+    delayedSection.hidden = scripts.length === 0;
+    delayedCount.textContent = `${scripts.filter(script => !script.released).length} held`;
+    delayedResults.textContent = '';
+    for (const script of scripts) {
+      const row = document.createElement('tr');
+      const label = document.createElement('td');
+      label.className = 'script-url';
+      try {
+        const url = new URL(script.url);
+        label.textContent = url.host + url.pathname;
+      } catch (e) {
+        label.textContent = script.url;
+      }
+      label.title = script.url;
+      const state = document.createElement('td');
+      state.textContent = script.released ? 'Ran' : 'Held';
+      if (script.released) state.className = 'off';
+      row.append(label, state);
+      delayedResults.appendChild(row);
+    }
+  }
+
+  // One-click treatments for a costly origin: [message value, label, done label, settings list]
+  const THIRD_PARTY_ACTIONS = [
+    ['delay', 'Delay', 'Delayed', 'delayScriptPatterns'],
+    ['defer', 'Defer', 'Deferred', 'deferScriptHosts']
+  ];
+
+  // Third-party origins on the page, costliest first
+  function renderThirdParty(origins) {
+    thirdPartySection.hidden = origins.length === 0;
+    thirdPartyCount.textContent = origins.length === 1 ? '1 origin' : `${origins.length} origins`;
+    thirdPartyResults.textContent = '';
+    for (const entry of origins) {
+      const host = new URL(entry.origin).hostname;
+      const row = document.createElement('tr');
+      const label = document.createElement('td');
+      label.innerHTML = '<span class="tp-host"></span><div class="tp-actions"></div>';
+      label.querySelector('.tp-host').textContent = host;
+      label.title = entry.origin;
+      for (const [treatment, text, doneText, list] of THIRD_PARTY_ACTIONS) {
+        const button = document.createElement('button');
+        button.className = 'tp-action';
+        const done = [...(currentSettings[list] || []), ...(siteProfile.hosts?.[list] || [])].includes(host);
+        button.textContent = done ? doneText : text;
+        button.disabled = done;
+        button.title = done ? '' : `${text} scripts from ${host} on this site only, and reload`;
+        button.addEventListener('click', () => treatThirdParty(entry.origin, treatment));
+        label.querySelector('.tp-actions').appendChild(button);
+      }
+      row.appendChild(label);
+
+      const values = [
+        entry.requests,
+        `${Math.round(entry.transferBytes / 1024)} KB`,
+        formatVital('scriptTime', entry.scriptTime),
+        formatVital('blockingTime', entry.blockingTime)
+      ];
+      for (const value of values) {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+      }
+      thirdPartyResults.appendChild(row);
+    }
+  }
+
+  async function treatThirdParty(origin, treatment) {
+    const tab = await getActiveTab();
+    if (!tab) return;
+    chrome.runtime.sendMessage({ type: 'TREAT_THIRD_PARTY', tabId: tab.id, origin, treatment }, async (response) => {
+      if (chrome.runtime.lastError || !response?.success) return;
+      await loadSettings();
+      updateUI();
+      // Give the reloaded page a moment before reading its costs again
+      setTimeout(updateStats, 1000);
+    });
+  }
+
+  function formatBudget(budget, value) {
+    if (budget.unit === 'KB') {
+      return value >= 1024 ? `${(value / 1024).toFixed(1)} MB` : `${Math.round(value)} KB`;
+    }
+    if (budget.unit === 'ms') return formatVital(budget.key, value);
+    return budget.key === 'cls' ? value.toFixed(2) : String(Math.round(value));
+  }
+
+  // This load against the site's budgets; once the page has settled, any
+  // budget it exceeds is named in the alert banner
+  function renderBudget(report) {
+    const budgets = siteProfile.budgets || {};
+    const exceeded = [];
+    for (const budget of BUDGETS) {
+      const cell = budgetResults.querySelector(`[data-budget="${budget.key}"] .budget-actual`);
+      const actual = report?.actual[budget.key];
+      const over = actual != null && budgets[budget.key] != null && actual > budgets[budget.key];
+      cell.textContent = actual != null ? formatBudget(budget, actual) : '–';
+      cell.classList.toggle('worse', over);
+      if (over && report.settled) {
+        exceeded.push(`${budget.label} ${formatBudget(budget, actual)} (+${formatBudget(budget, actual - budgets[budget.key])})`);
+      }
+    }
+
+    if (Object.keys(budgets).length === 0) {
+      budgetStatus.textContent = 'Not set';
+    } else if (!report?.settled) {
+      budgetStatus.textContent = 'Measuring…';
+    } else {
+      budgetStatus.textContent = exceeded.length ? `${exceeded.length} over` : 'Within budget';
+    }
+
+    if (exceeded.length > 0) {
+      alertBanner.classList.add('warning');
+      alertText.textContent = `Over budget: ${exceeded.join(', ')}.`;
+    }
+  }
+
+  async function saveBudget(budget, input) {
+    const value = input.value.trim() === '' ? null : Number(input.value);
+    const valid = value === null || (value >= budget.min && value <= budget.max);
+    input.classList.toggle('invalid', !valid);
+    if (!valid || !siteOrigin) return;
+
+    const budgets = { ...siteProfile.budgets };
+    if (value === null) {
+      delete budgets[budget.key];
+    } else {
+      budgets[budget.key] = value;
+    }
+    siteProfile.budgets = budgets;
+    await saveSiteProfile();
+    updateStats();
+  }
+
+  // Tabs freed by Discard Idle Tabs, across all windows
+  function updateDiscardedTabs() {
+    const tag = document.querySelector('[data-section="tabs"] .section-tag');
+    chrome.runtime.sendMessage({ type: 'GET_IDLE_TABS' }, (response) => {
+      if (chrome.runtime.lastError || !response) return;
+      tag.textContent = response.discarded
+        ? `${response.discarded} discarded`
+        : SECTIONS.find(section => section.id === 'tabs').tag;
     });
   }
 
   function updateStats() {
     // Count active features
-    const activeCount = FEATURE_KEYS.filter(k => currentSettings[k]).length;
+    const effective = getEffectiveSettings();
+    const activeCount = FEATURE_KEYS.filter(k => effective[k]).length;
     activeFeatures.textContent = activeCount;
 
-    // Try to get metrics from content script
+    // Metrics summed across the tab's frames by the background script
     chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
       if (!tabs[0]) return;
-      chrome.tabs.sendMessage(tabs[0].id, { type: 'GET_METRICS' }, (response) => {
+      chrome.runtime.sendMessage({ type: 'GET_METRICS', tabId: tabs[0].id }, (response) => {
         if (chrome.runtime.lastError || !response) return;
         const metrics = response.metrics;
         imagesOptimized.textContent = metrics.imagesOptimized || 0;
-
-        // Estimate time saved based on concrete optimizations applied
-        let savedMs = 0;
-        savedMs += (metrics.imagesOptimized || 0) * 15;     // fetchpriority + async decode
-        savedMs += (metrics.iframesLazyLoaded || 0) * 150;  // deferred iframe loads
-        savedMs += (metrics.mediaOptimized || 0) * 100;     // prevented full preloads
-        savedMs += (metrics.cssNonBlocked || 0) * 80;       // non-blocking stylesheets
-        savedMs += (metrics.dnsPrefetched || 0) * 40;       // DNS pre-resolution
-        savedMs += (metrics.linksPrefetched || 0) * 200;    // prefetched next-page
-        if (metrics.animationsDisabled) savedMs += 30;       // reduced paint work
-        savedMs = Math.round(savedMs);
-        estSaved.textContent = savedMs >= 1000
-          ? '~' + (savedMs / 1000).toFixed(1) + 's'
-          : '~' + savedMs + 'ms';
+        fontsSwapped.textContent = metrics.fontsSwapped || 0;
+        updateVitals(response.vitals || {});
+        renderFrames(response.frames || []);
+        renderDelayedScripts(response.delayedScripts || []);
+        renderThirdParty(response.thirdParty || []);
+        renderBudget(response.budget);
       });
     });
+    updateDiscardedTabs();
 
     // Update alert text
-    if (currentSettings.enabled) {
+    if (effective.enabled) {
       alertBanner.classList.remove('warning');
       alertText.textContent = `${activeCount} optimizations active on this page.`;
+    } else if (scope === 'site' && currentSettings.enabled) {
+      alertBanner.classList.add('warning');
+      alertText.textContent = 'Disabled on this site. Other sites are still optimized.';
     } else {
       alertBanner.classList.add('warning');
       alertText.textContent = 'Extension is disabled. Enable to optimize pages.';
     }
   }
 
+  function renderBenchmark(benchmark) {
+    const running = benchmark?.status === 'running';
+    benchmarkBtn.disabled = running;
+    benchmarkRuns.disabled = running;
+
+    if (!benchmark) return;
+    if (running) {
+      benchmarkStatus.textContent = `Run ${benchmark.completed + 1} of ${benchmark.total} (optimizations ${benchmark.variant || 'off'})…`;
+      return;
+    }
+    if (benchmark.status === 'error') {
+      benchmarkStatus.textContent = `Benchmark failed: ${benchmark.error}`;
+      benchmarkTable.hidden = true;
+      return;
+    }
+
+    benchmarkStatus.textContent = `${benchmark.runs} runs per variant. Negative Δ means faster with optimizations on.`;
+    benchmarkResults.textContent = '';
+    for (const [metric, result] of Object.entries(benchmark.results || {})) {
+      const row = document.createElement('tr');
+      const label = document.createElement('td');
+      label.textContent = BENCHMARK_LABELS[metric];
+      row.appendChild(label);
+      for (const delta of [result.medianDelta, result.p75Delta]) {
+        const cell = document.createElement('td');
+        cell.textContent = formatDelta(metric, delta);
+        if (delta < 0) cell.className = 'better';
+        if (delta > 0) cell.className = 'worse';
+        row.appendChild(cell);
+      }
+      benchmarkResults.appendChild(row);
+    }
+    benchmarkTable.hidden = false;
+  }
+
+  async function pollBenchmark() {
+    const tab = await getActiveTab();
+    if (!tab) return;
+    chrome.runtime.sendMessage({ type: 'GET_BENCHMARK', tabId: tab.id }, (response) => {
+      if (chrome.runtime.lastError || !response) return;
+      renderBenchmark(response.benchmark);
+      if (response.benchmark?.status === 'running') {
+        setTimeout(pollBenchmark, 1000);
+      } else if (response.benchmark) {
+        updateStats();
+      }
+    });
+  }
+
+  function setScope(newScope) {
+    if (newScope === 'site' && !siteOrigin) return;
+    scope = newScope;
+    updateUI();
+    updateStats();
+  }
+
+  scopeGlobal.addEventListener('click', () => setScope('global'));
+  scopeSite.addEventListener('click', () => setScope('site'));
+
   mainToggle.addEventListener('click', async () => {
-    currentSettings.enabled = !currentSettings.enabled;
+    if (scope === 'site') {
+      siteProfile.disabled = !siteProfile.disabled;
+    } else {
+      currentSettings.enabled = !currentSettings.enabled;
+    }
     updateUI();
     updateStats();
-    await saveSettings();
+    await save();
   });
 
   document.querySelectorAll('.option').forEach(option => {
     option.addEventListener('click', async () => {
       const settingName = option.dataset.setting;
-      const toggle = option.querySelector('.toggle');
 
-      currentSettings[settingName] = !currentSettings[settingName];
-
-      if (currentSettings[settingName]) {
-        toggle.classList.add('checked');
+      if (scope === 'site') {
+        const value = !getEffectiveSettings()[settingName];
+        // Drop the override once it matches the global value again
+        if (value === currentSettings[settingName]) {
+          delete siteProfile.overrides[settingName];
+        } else {
+          siteProfile.overrides[settingName] = value;
+        }
       } else {
-        toggle.classList.remove('checked');
+        currentSettings[settingName] = !currentSettings[settingName];
       }
 
+      updateUI();
       updateStats();
-      await saveSettings();
+      await save();
     });
   });
 
@@ -167,11 +582,39 @@ document.addEventListener('DOMContentLoaded', async () => {
     });
   });
 
+  benchmarkBtn.addEventListener('click', async () => {
+    const tab = await getActiveTab();
+    if (!tab) return;
+    chrome.runtime.sendMessage({
+      type: 'START_BENCHMARK',
+      tabId: tab.id,
+      runs: parseInt(benchmarkRuns.value)
+    }, (response) => {
+      if (chrome.runtime.lastError || !response?.started) return;
+      benchmarkTable.hidden = true;
+      pollBenchmark();
+    });
+  });
+
   resetBtn.addEventListener('click', async () => {
-    currentSettings = { ...DEFAULT_SETTINGS };
+    if (scope === 'site') {
+      // Budgets have their own inputs and exemptions are managed in the
+      // DevTools panel; reset clears the toggles and third-party hosts
+      siteProfile = { ...siteProfile, disabled: false, overrides: {}, hosts: {} };
+    } else {
+      // Only the switches; tuning values and lists are the options page's
+      // Restore Defaults
+      const toggles = ['enabled', ...FEATURE_KEYS].map(key => [key, DEFAULT_SETTINGS[key]]);
+      currentSettings = { ...currentSettings, ...Object.fromEntries(toggles) };
+    }
     updateUI();
     updateStats();
-    await saveSettings();
+    await save();
+  });
+
+  document.getElementById('advancedLink').addEventListener('click', (e) => {
+    e.preventDefault();
+    chrome.runtime.openOptionsPage();
   });
 
   document.getElementById('helpLink').addEventListener('click', (e) => {
@@ -180,8 +623,13 @@ document.addEventListener('DOMContentLoaded', async () => {
   });
 
   await loadSettings();
+  // Open in site scope when this site already has a profile
+  if (siteOrigin && (siteProfile.disabled || Object.keys(siteProfile.overrides).length > 0)) {
+    scope = 'site';
+  }
   updateUI();
   updateStats();
+  pollBenchmark();
 
   // Re-check metrics after page has had time to load
   setTimeout(updateStats, 3000);
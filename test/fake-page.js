@@ -0,0 +1,124 @@
+// Just enough of a page for injected.js: an EventTarget document, empty DOM
+// classes, and content.js's side of the page channel. node --test runs each
+// test file in its own process, so each file loads the script once.
+
+const TOKEN = 'test-token-5f3a9c';
+
+class FakeElement {
+  constructor(tagName, attributes = {}) {
+    this.nodeType = 1;
+    this.tagName = tagName;
+    this.parentNode = null;
+    this.attrs = new Map(Object.entries(attributes));
+  }
+
+  getAttribute(name) {
+    return this.attrs.has(name) ? this.attrs.get(name) : null;
+  }
+
+  hasAttribute(name) {
+    return this.attrs.has(name);
+  }
+
+  removeAttribute(name) {
+    this.attrs.delete(name);
+  }
+
+  querySelectorAll() {
+    return [];
+  }
+}
+FakeElement.prototype.setAttribute = function(name, value) {
+  this.attrs.set(name, String(value));
+};
+FakeElement.prototype.attachShadow = function() {};
+
+class FakeScript extends FakeElement {
+  constructor(attributes = {}, text = '') {
+    super('SCRIPT', attributes);
+    this.text = text;
+  }
+
+  get src() {
+    const src = this.getAttribute('src');
+    return src === null ? '' : new URL(src, location.href).href;
+  }
+
+  get type() {
+    return this.getAttribute('type') || '';
+  }
+
+  set type(value) {
+    this.setAttribute('type', value);
+  }
+
+  get async() {
+    return this.hasAttribute('async');
+  }
+
+  get defer() {
+    return this.hasAttribute('defer');
+  }
+
+  get nonce() {
+    return this.getAttribute('nonce') || '';
+  }
+}
+
+// Returns content.js's view of the channel: messages received from the
+// page script, a way to send it messages, and the observer it watches the
+// parser with
+function loadInjected({ readyState = 'complete' } = {}) {
+  globalThis.window = globalThis;
+  globalThis.location = new URL('https://example.com/page');
+  globalThis.document = Object.assign(new EventTarget(), { readyState, documentElement: null });
+  globalThis.Node = { ELEMENT_NODE: 1 };
+  globalThis.Element = FakeElement;
+  globalThis.HTMLMediaElement = class HTMLMediaElement {};
+  HTMLMediaElement.prototype.play = function() {};
+  globalThis.HTMLScriptElement = FakeScript;
+  globalThis.requestAnimationFrame = () => 0;
+  globalThis.cancelAnimationFrame = () => {};
+
+  const observers = [];
+  globalThis.MutationObserver = class MutationObserver {
+    constructor(callback) {
+      this.callback = callback;
+      observers.push(this);
+    }
+    observe() {}
+    disconnect() {}
+    takeRecords() {
+      return [];
+    }
+  };
+
+  // content.js lives in another world and keeps its own references
+  const contentDispatch = EventTarget.prototype.dispatchEvent.bind(document);
+  const detailGetter = Object.getOwnPropertyDescriptor(CustomEvent.prototype, 'detail').get;
+  const contentDetail = event => Reflect.apply(detailGetter, event, []);
+  const contentStringify = JSON.stringify;
+  const contentParse = JSON.parse;
+  const received = [];
+
+  document.addEventListener(`fc-to-content-${TOKEN}`, event => received.push(contentParse(contentDetail(event))));
+  document.addEventListener('fasterChromium:hello', () => {
+    contentDispatch(new CustomEvent('fasterChromium:token', { detail: TOKEN }));
+  });
+
+  require('../injected.js');
+
+  return {
+    received,
+    detailGetter,
+    // The parser adding nodes, as the script observer sees it
+    addNodes(...nodes) {
+      for (const observer of observers) observer.callback([{ addedNodes: nodes }]);
+    },
+    sendToPage(message) {
+      contentDispatch(new CustomEvent(`fc-to-page-${TOKEN}`, { detail: contentStringify(message) }));
+    }
+  };
+}
+
+module.exports = { TOKEN, FakeScript, loadInjected };
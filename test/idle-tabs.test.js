@@ -0,0 +1,112 @@
+// Tests for idle-tabs.js: node --test test/
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+require('../idle-tabs.js');
+const { createIdleTabManager } = globalThis;
+
+const NOW = 1_700_000_000_000;
+const MINUTE = 60000;
+const SETTINGS = { enabled: true, discardIdleTabs: true, idleTabMinutes: 30 };
+
+// A background tab last focused an hour ago
+function makeTab(props = {}) {
+  return {
+    id: 1,
+    url: 'https://example.com/',
+    active: false,
+    discarded: false,
+    pinned: false,
+    audible: false,
+    autoDiscardable: true,
+    lastAccessed: NOW - 60 * MINUTE,
+    ...props
+  };
+}
+
+// chrome.tabs stand-in: discard() resolves to the tab unless listed in `refuse`
+function makeTabs(all, { refuse = [], fail = [] } = {}) {
+  const discardCalls = [];
+  return {
+    discardCalls,
+    async query(queryInfo) {
+      return all.filter(tab => !('discarded' in queryInfo) || tab.discarded === queryInfo.discarded);
+    },
+    async discard(tabId) {
+      discardCalls.push(tabId);
+      if (fail.includes(tabId)) throw new Error(`No tab with id: ${tabId}.`);
+      if (refuse.includes(tabId)) return undefined;
+      const tab = all.find(t => t.id === tabId);
+      tab.discarded = true;
+      return tab;
+    }
+  };
+}
+
+function makeManager({ tabs = makeTabs([]), settings = SETTINGS, unsaved = [], exempt = [] } = {}) {
+  return createIdleTabManager({
+    tabs,
+    // Exempt origins resolve to settings with the feature switched off, like a site override
+    getSettings: tab => exempt.includes(new URL(tab.url).origin)
+      ? { ...settings, discardIdleTabs: false }
+      : settings,
+    hasUnsavedInput: tabId => unsaved.includes(tabId),
+    now: () => NOW
+  });
+}
+
+test('an idle background tab may be discarded', () => {
+  assert.strictEqual(makeManager().skipReason(makeTab()), null);
+});
+
+test('pinned, audible and active tabs are kept', () => {
+  const manager = makeManager();
+  assert.strictEqual(manager.skipReason(makeTab({ pinned: true })), 'pinned');
+  assert.strictEqual(manager.skipReason(makeTab({ audible: true })), 'audible');
+  assert.strictEqual(manager.skipReason(makeTab({ active: true })), 'active');
+});
+
+test('tabs with unsaved input are kept', () => {
+  const manager = makeManager({ unsaved: [2] });
+  assert.strictEqual(manager.skipReason(makeTab({ id: 2 })), 'unsaved-input');
+  assert.strictEqual(manager.skipReason(makeTab({ id: 3 })), null);
+});
+
+test('tabs on an exempt origin are kept', () => {
+  const manager = makeManager({ exempt: ['https://mail.example.com'] });
+  assert.strictEqual(manager.skipReason(makeTab({ url: 'https://mail.example.com/inbox' })), 'disabled');
+  assert.strictEqual(manager.skipReason(makeTab({ url: 'https://example.com/' })), null);
+});
+
+test('a tab becomes idle exactly at idleTabMinutes', () => {
+  const manager = makeManager();
+  const at = NOW - SETTINGS.idleTabMinutes * MINUTE;
+  assert.strictEqual(manager.skipReason(makeTab({ lastAccessed: at + 1 })), 'recent');
+  assert.strictEqual(manager.skipReason(makeTab({ lastAccessed: at })), null);
+  // Never focused since the browser started
+  assert.strictEqual(manager.skipReason(makeTab({ lastAccessed: undefined })), 'recent');
+});
+
+test('sweep discards only eligible tabs', async () => {
+  const tabs = makeTabs([
+    makeTab({ id: 1 }),
+    makeTab({ id: 2, pinned: true }),
+    makeTab({ id: 3, lastAccessed: NOW - MINUTE }),
+    makeTab({ id: 4 })
+  ]);
+  const manager = makeManager({ tabs });
+  assert.deepStrictEqual(await manager.sweep(), [1, 4]);
+  assert.deepStrictEqual(tabs.discardCalls, [1, 4]);
+  assert.strictEqual(await manager.countDiscarded(), 2);
+});
+
+test('sweep carries on when discard() rejects or is refused', async () => {
+  const tabs = makeTabs([makeTab({ id: 1 }), makeTab({ id: 2 }), makeTab({ id: 3 })], {
+    fail: [1],
+    refuse: [2]
+  });
+  const manager = makeManager({ tabs });
+  assert.deepStrictEqual(await manager.sweep(), [3]);
+  assert.deepStrictEqual(tabs.discardCalls, [1, 2, 3]);
+});
@@ -0,0 +1,58 @@
+// Tests for injected.js's page channel: node --test test/
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { TOKEN, loadInjected } = require('./fake-page.js');
+
+const { received, detailGetter, sendToPage } = loadInjected();
+
+test('the handshake completes', () => {
+  assert.deepStrictEqual(received[0], { type: 'ready' });
+});
+
+test('page overrides of call, JSON and event.detail never see the token', () => {
+  const leaks = [];
+  function inspect(value) {
+    if (typeof value === 'string' && value.includes(TOKEN)) leaks.push(value);
+    if (value instanceof Event && value.type.includes(TOKEN)) leaks.push(value.type);
+  }
+
+  // What a page script could install once it runs
+  const realCall = Function.prototype.call;
+  const realStringify = JSON.stringify;
+  const realParse = JSON.parse;
+  Function.prototype.call = function(thisArg, ...args) {
+    inspect(thisArg);
+    args.forEach(inspect);
+    return Reflect.apply(this, thisArg, args);
+  };
+  JSON.stringify = function(...args) {
+    args.forEach(inspect);
+    return Reflect.apply(realStringify, JSON, args);
+  };
+  JSON.parse = function(...args) {
+    args.forEach(inspect);
+    return Reflect.apply(realParse, JSON, args);
+  };
+  Object.defineProperty(CustomEvent.prototype, 'detail', {
+    configurable: true,
+    get() {
+      inspect(this);
+      return Reflect.apply(detailGetter, this, []);
+    }
+  });
+
+  const before = received.length;
+  try {
+    sendToPage({ type: 'getStats' });
+  } finally {
+    Function.prototype.call = realCall;
+    JSON.stringify = realStringify;
+    JSON.parse = realParse;
+    Object.defineProperty(CustomEvent.prototype, 'detail', { configurable: true, get: detailGetter });
+  }
+
+  assert.deepStrictEqual(leaks, []);
+  assert.strictEqual(received.length, before + 1);
+  assert.strictEqual(received[before].type, 'stats');
+});
@@ -0,0 +1,40 @@
+// Tests for injected.js's script deferral: node --test test/
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { FakeScript, loadInjected } = require('./fake-page.js');
+
+const BLOCKED_TYPE = 'javascript/blocked';
+
+// Parsing is still going on, so the parser's scripts are watched
+const { received, addNodes, sendToPage } = loadInjected({ readyState: 'loading' });
+sendToPage({ type: 'configure', settings: { deferScripts: true } });
+
+test('a same-origin parser-blocking script is held', () => {
+  const script = new FakeScript({ src: '/app.js' });
+  addNodes(script);
+  assert.strictEqual(script.type, BLOCKED_TYPE);
+});
+
+test('scripts with integrity or a nonce are never held', () => {
+  const pinned = new FakeScript({ src: '/lib.js', integrity: 'sha384-abc' });
+  const withNonce = new FakeScript({ nonce: 'r4nd0m' }, 'init();');
+  // Hold something first, so both arrive while the queue is running too
+  const first = new FakeScript({ src: '/first.js' });
+  addNodes(first);
+  assert.strictEqual(first.type, BLOCKED_TYPE);
+
+  addNodes(pinned, withNonce);
+  assert.strictEqual(pinned.getAttribute('type'), null);
+  assert.strictEqual(withNonce.getAttribute('type'), null);
+  // They'd run ahead of the held scripts, so deferral is given up and the
+  // held ones are let go
+  assert.strictEqual(first.getAttribute('type'), null);
+  assert.ok(received.some(message => message.type === 'deferConflict'));
+});
+
+test('nothing more is held once deferral has been given up', () => {
+  const script = new FakeScript({ src: '/later.js' });
+  addNodes(script);
+  assert.strictEqual(script.getAttribute('type'), null);
+});